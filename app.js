@@ -4,6 +4,7 @@ const $$ = (sel, root=document) => Array.from(root.querySelectorAll(sel));
 const fmtDate = (iso) => {
   try{ const d = new Date(iso); return d.toLocaleString(); }catch{ return iso||"" }
 };
+const esc = (v) => String(v ?? '').replace(/[&<>"']/g, (c) => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
 
 async function fetchJSON(url, opts){
   const res = await fetch(url, opts);
@@ -16,7 +17,8 @@ async function fetchJSON(url, opts){
 function statusClass(status){
   const s = String(status||'').toLowerCase();
   if(s.includes('deliver')) return 'ok';
-  if(s.includes('cancel') || s.includes('return') || s.includes('exception')) return 'bad';
+  if(s.includes('cancel') || s.includes('return') || s.includes('exception') || s === 'rto') return 'bad';
+  if(s.includes('failed')) return 'warn';
   if(s.includes('out for')) return 'warn';
   if(s.includes('ship') || s.includes('transit') || s.includes('pack')) return 'warn';
   return 'info';
@@ -28,8 +30,10 @@ let livePoll = null; // polling fallback for external carriers
 
 // Map state
 let map = null;
-let routing = null; // Leaflet Routing Machine control
-const markers = { origin: null, dest: null, truck: null };
+let routeLine = null; // route geometry from the server (great circle / checkpoint trail)
+let routeKey = ''; // redraw only when the route itself changes
+let activeLegLine = null; // highlighted leg of a hub-network journey
+const markers = { origin: null, dest: null, truck: null, checkpoints: null, stops: null };
 let followTruck = true; // controlled by Follow toggle
 let keepCentered = false; // dedicated keep-centered mode
 let truckAnim = null; // requestAnimationFrame id for smooth animation
@@ -122,40 +126,71 @@ function updateMapRoute(route){
   const o = toLatLng(route.origin);
   const d = toLatLng(route.dest);
   if(!o || !d) return;
+  // Draw the server's geometry: the truck is placed along this same line, so it stays on it
+  const line = (route.polyline || []).map(toLatLng).filter(Boolean);
+  const path = line.length >= 2 ? line : [o, d];
+  const key = JSON.stringify([o, d, path.length, path[path.length - 1]]);
+  if(key === routeKey) return; // live updates only move the truck
+  routeKey = key;
 
   if(markers.origin){ try{ map.removeLayer(markers.origin); }catch{} }
   if(markers.dest){ try{ map.removeLayer(markers.dest); }catch{} }
   markers.origin = L.marker(o, { title: 'Origin' }).addTo(map);
   markers.dest = L.marker(d, { title: 'Destination' }).addTo(map);
 
-  // Remove previous routing control
-  if(routing){ try{ map.removeControl(routing); }catch{} routing = null; }
-  // Create accurate route via OSRM through Leaflet Routing Machine
+  if(routeLine){ try{ map.removeLayer(routeLine); }catch{} routeLine = null; }
   try{
-    routing = L.Routing.control({
-      waypoints: [ L.latLng(o[0], o[1]), L.latLng(d[0], d[1]) ],
-      addWaypoints: false,
-      draggableWaypoints: false,
-      routeWhileDragging: false,
-      show: false,
-      fitSelectedRoutes: true,
-      lineOptions: {
-        styles: [{ color: '#d4af37', weight: 5, opacity: 0.95 }]
-      }
-    }).addTo(map);
-    try{ routing.on('routesfound', ()=> recenterMap()); }catch{}
+    routeLine = L.polyline(path, { color: '#d4af37', weight: 5, opacity: 0.95 }).addTo(map);
+    map.fitBounds(routeLine.getBounds(), { padding: [30,30], maxZoom: 12 });
   }catch{
-    // Fallback: fit to bounds if routing fails
     try{ map.fitBounds(L.latLngBounds([o,d]), { padding: [30,30] }); }catch{}
   }
 }
 
+// Warehouses and hubs the journey passes through, and the leg the package is on
+function updateLegs(legs, route){
+  if(!map) return;
+  if(markers.stops){ try{ map.removeLayer(markers.stops); }catch{} markers.stops = null; }
+  if(activeLegLine){ try{ map.removeLayer(activeLegLine); }catch{} activeLegLine = null; }
+  const stops = (legs||[]).map(l => l.to).filter(s => s.type === 'hub' || s.type === 'warehouse');
+  try{
+    if(stops.length){
+      markers.stops = L.layerGroup(stops.map(s => L.circleMarker([s.lat, s.lng], {
+        radius: s.type === 'hub' ? 6 : 5, color: '#7aa2ff', weight: 2, fillColor: '#0f1330', fillOpacity: 1,
+      }).bindTooltip(esc(s.name)))).addTo(map);
+    }
+    const line = route && route.activeLeg ? (route.activeLeg.polyline || []).map(toLatLng).filter(Boolean) : [];
+    if(line.length >= 2){
+      activeLegLine = L.polyline(line, { color: '#fff3b0', weight: 7, opacity: 0.9 }).addTo(map);
+    }
+  }catch{}
+}
+
+// Small dots for carrier checkpoints that have coordinates; the latest one is highlighted
+function updateCheckpointMarkers(checkpoints){
+  if(!map) return;
+  if(markers.checkpoints){ try{ map.removeLayer(markers.checkpoints); }catch{} markers.checkpoints = null; }
+  const located = (checkpoints||[]).filter(c => c.lat != null && c.lng != null);
+  if(!located.length) return;
+  try{
+    markers.checkpoints = L.layerGroup(located.map((c, i) => {
+      const latest = i === located.length - 1;
+      const dot = L.circleMarker([Number(c.lat), Number(c.lng)], {
+        radius: latest ? 7 : 5, color: '#d4af37', weight: 2, fillColor: latest ? '#d4af37' : '#1b1f3a', fillOpacity: 0.9,
+      });
+      dot.bindPopup(`<strong>${esc(c.message || c.status)}</strong><br>${[c.location, fmtDate(c.ts)].filter(Boolean).map(esc).join(' · ')}`);
+      return dot;
+    })).addTo(map);
+  }catch{}
+}
+
 function recenterMap(){
   if(!map) return;
   const pts = [];
   if(markers.origin) pts.push(markers.origin.getLatLng());
   if(markers.dest) pts.push(markers.dest.getLatLng());
   if(markers.truck) pts.push(markers.truck.getLatLng());
+  if(markers.checkpoints) markers.checkpoints.eachLayer(m => pts.push(m.getLatLng()));
   if(pts.length){
     try{ map.fitBounds(L.latLngBounds(pts), { padding: [30,30], maxZoom: 12 }); }catch{}
   }else{
@@ -173,6 +208,13 @@ async function renderAnalytics(){
       pill.className = 'kpi'; pill.textContent = `${k}: ${v}`;
       kpis.appendChild(pill);
     });
+    if(data.delayed && data.delayed.total){
+      const pill = document.createElement('div');
+      pill.className = 'kpi late';
+      pill.textContent = `Delayed: ${data.delayed.total}`;
+      pill.title = data.delayed.orders.map(o => `${o.id}: ${o.reasons.join('; ')}`).join('\n');
+      kpis.appendChild(pill);
+    }
   }catch{}
 }
 
@@ -181,12 +223,38 @@ function renderTimeline(timeline){
   box.innerHTML = '';
   (timeline||[]).forEach((t) => {
     const div = document.createElement('div');
-    div.className = 'step' + (/(packed|ship|transit|deliver)/i.test(t.label) ? ' done' : '');
-    div.innerHTML = `<span class="dot"></span><span class="label">${t.label}</span><span class="time">${fmtDate(t.ts)}</span>`;
+    // Recorded events have an actor and all happened; legacy entries fall back to the label
+    const done = t.actor || t.done ? true : /(packed|ship|transit|deliver)/i.test(t.label);
+    div.className = 'step' + (done ? ' done' : '');
+    const details = [t.location, t.note, t.actor ? `by ${t.actor}` : ''].filter(Boolean).map(esc).join(' · ');
+    div.innerHTML = `<span class="dot"></span><span class="label">${esc(t.label || t.status)}</span><span class="time">${fmtDate(t.ts)}</span>`
+      + (details ? `<span class="details">${details}</span>` : '');
     box.appendChild(div);
   });
 }
 
+// Carrier checkpoints -> timeline entries (all of them already happened)
+function checkpointTimeline(checkpoints){
+  return (checkpoints||[]).map(c => ({ label: c.message || c.status, status: c.status, ts: c.ts, location: c.location, note: c.message ? c.status : null, done: true }));
+}
+
+// Per-package rows for split shipments (empty for single-package orders)
+function renderShipments(shipments){
+  const box = $('#shipments');
+  if(!box) return;
+  box.innerHTML = '';
+  (shipments||[]).forEach((sh) => {
+    const row = document.createElement('div');
+    row.className = 'shipment';
+    const carrier = [sh.carrier, sh.tracking].filter(Boolean).join(' · ');
+    const from = sh.route && sh.route.originName ? sh.route.originName : '';
+    const eta = sh.etaISO ? `ETA ${new Date(sh.etaISO).toDateString()}` : '';
+    const sub = [carrier, from && `from ${from}`, eta].filter(Boolean).map(esc).join(' · ');
+    row.innerHTML = `<span class="pkg">${esc(sh.id)}</span><span class="sub">${sub || '—'}</span><span class="badge ${statusClass(sh.status)}">${esc(sh.status)}</span>`;
+    box.appendChild(row);
+  });
+}
+
 function setProgress(p){
   const bar = $('#progress-bar');
   const pct = Math.max(0, Math.min(100, Number(p)||0));
@@ -213,7 +281,9 @@ function setRoute(route){
     };
     const from = route.originName || fmt(route.origin);
     const to = route.destName || fmt(route.dest);
-    el.textContent = `${from} → ${to}`;
+    const at = route.facility && route.facility !== to ? ` · at ${route.facility}` : '';
+    const left = route.remainingKm > 0 ? ` · ${Math.round(route.remainingKm).toLocaleString()} km to go` : '';
+    el.textContent = `${from} → ${to}${at}${left}`;
   } else {
     el.textContent = '—';
   }
@@ -229,19 +299,31 @@ async function loadOrder(orderId){
     setStatus(detail.status);
     setProgress(detail.progress);
     setRoute(detail.route);
-    renderTimeline(detail.timeline);
+    updateLegs(detail.legs, detail.route);
+    renderShipments(detail.shipments);
+    // Carrier-tracked orders: the carrier's own scans say more than our status history
+    renderTimeline(detail.checkpoints && detail.checkpoints.length ? checkpointTimeline(detail.checkpoints) : detail.timeline);
+    updateCheckpointMarkers(detail.checkpoints);
     // ETA
     try{
       const eta = await fetchJSON(`/api/eta/${encodeURIComponent(orderId)}`);
       $('#eta').textContent = eta.etaISO ? new Date(eta.etaISO).toDateString() : '—';
-      $('#eta-note').textContent = eta.note || '';
+      // Delivery window and confidence from the ETA engine
+      const fmt = (iso) => new Date(iso).toLocaleDateString(undefined, { weekday:'short', month:'short', day:'numeric' });
+      const parts = [eta.note];
+      if(eta.window && eta.window.earliestISO !== eta.window.latestISO) parts.push(`window ${fmt(eta.window.earliestISO)} – ${fmt(eta.window.latestISO)}`);
+      if(eta.confidence != null) parts.push(`${Math.round(eta.confidence * 100)}% confidence`);
+      $('#eta-note').textContent = parts.filter(Boolean).join(' · ');
     }catch{ $('#eta').textContent = '—'; $('#eta-note').textContent = '' }
   }catch(err){
     // Fallback to simple track endpoint
     try{
       const t = await fetchJSON(`/api/track/${encodeURIComponent(orderId)}`);
       setStatus(t.status); setProgress(t.progress); setRoute(t.route);
-      renderTimeline([]);
+      updateLegs(t.legs, t.route);
+      renderShipments(t.shipments);
+      renderTimeline(checkpointTimeline(t.checkpoints));
+      updateCheckpointMarkers(t.checkpoints);
       $('#eta').textContent = '—'; $('#eta-note').textContent = '';
     }catch(e){
       // Final fallback: try carrier auto-detect or carrier:tracking
@@ -250,7 +332,10 @@ async function loadOrder(orderId){
         const any = await resp.json().catch(()=>({}));
         if(resp.ok){
           setStatus(any.status); setProgress(any.progress); setRoute(any.route);
-          renderTimeline([]);
+          updateLegs(any.legs, any.route);
+          renderShipments(any.shipments);
+          renderTimeline(checkpointTimeline(any.checkpoints));
+          updateCheckpointMarkers(any.checkpoints);
           $('#eta').textContent = '—';
           // If free-mode links are provided, show quick open links
           if(Array.isArray(any.links) && any.links.length){
@@ -263,11 +348,11 @@ async function loadOrder(orderId){
             $('#eta-note').textContent = any.note || '';
           }
         } else {
-          setStatus('Not found'); setProgress(0); setRoute(null); renderTimeline([]);
+          setStatus('Not found'); setProgress(0); setRoute(null); updateLegs([]); renderShipments([]); renderTimeline([]); updateCheckpointMarkers([]);
           $('#eta').textContent = '—'; $('#eta-note').textContent = any && any.error ? any.error : '';
         }
       }catch{
-        setStatus('Not found'); setProgress(0); setRoute(null); renderTimeline([]);
+        setStatus('Not found'); setProgress(0); setRoute(null); updateLegs([]); renderShipments([]); renderTimeline([]); updateCheckpointMarkers([]);
       }
     }
   }
@@ -283,6 +368,9 @@ function startLive(orderId){
         const msg = JSON.parse(ev.data);
         if(!msg || msg.id !== currentOrderId) return;
         setStatus(msg.status); setProgress(msg.progress); setRoute(msg.route);
+        updateLegs(msg.legs, msg.route);
+        renderShipments(msg.shipments);
+        if(msg.checkpoints && msg.checkpoints.length){ renderTimeline(checkpointTimeline(msg.checkpoints)); updateCheckpointMarkers(msg.checkpoints); }
         // smooth truck update on live stream
         try{ updateTruck(msg.route); }catch{}
       }catch{}
@@ -295,7 +383,10 @@ function startLive(orderId){
       livePoll = setInterval(async ()=>{
         try{
           const any = await fetchJSON('/api/track-any', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ query: currentOrderId }) });
-          if(any){ setStatus(any.status); setProgress(any.progress); setRoute(any.route); }
+          if(any){
+            setStatus(any.status); setProgress(any.progress); setRoute(any.route);
+            if(any.checkpoints){ renderTimeline(checkpointTimeline(any.checkpoints)); updateCheckpointMarkers(any.checkpoints); }
+          }
         }catch{}
       }, 15000);
     };
@@ -320,6 +411,9 @@ async function init(){
         btnScan.style.display = 'none';
       }
     }
+    // The demo advance button calls the admin API, which needs a token once ADMIN_TOKEN is set
+    const btnAdv = $('#btn-advance');
+    if(btnAdv && cfg.admin && cfg.admin.tokenRequired) btnAdv.style.display = 'none';
     const follow = $('#follow-toggle');
     if(follow){ follow.checked = true; follow.addEventListener('change', ()=>{ followTruck = !!follow.checked; if(followTruck) recenterMap(); }); }
     const center = $('#center-toggle');
@@ -343,7 +437,7 @@ async function init(){
   });
 
   // Demo buttons
-  const demoIds = ['1001','1002','1003','1004','O_ID_3000034'];
+  const demoIds = ['1001','1002','1003','1004','1005','O_ID_3000034'];
   const btnRandom = $('#btn-random');
   if(btnRandom){
     btnRandom.addEventListener('click', async ()=>{
@@ -430,12 +524,20 @@ async function init(){
     resultDiv.textContent = '⏳ Subscribing...';
     resultDiv.style.color = '#94a3b8';
     try{
-      const result = await fetchJSON('/api/subscribe', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ orderId, email }) });
-      if(result.emailSent){
-        resultDiv.innerHTML = `✅ Subscribed! Confirmation email sent to <strong>${email}</strong>`;
+      const frequency = $('#sub-frequency') ? $('#sub-frequency').value : undefined;
+      const result = await fetchJSON('/api/subscribe', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ orderId, email, frequency }) });
+      // Carrier tracking numbers come back under their stored order id
+      const subId = result.orderId || orderId;
+      if(result.alreadySubscribed){
+        resultDiv.innerHTML = `✅ Already subscribed to order <strong>${esc(subId)}</strong>`;
         resultDiv.style.color = '#22c55e';
+      } else if(result.status === 'pending'){
+        resultDiv.innerHTML = result.emailSent
+          ? `📧 Almost done! Click the link we sent to <strong>${esc(email)}</strong> to confirm`
+          : `⚠️ ${esc(result.message)}`;
+        resultDiv.style.color = result.emailSent ? '#22c55e' : '#f59e0b';
       } else {
-        resultDiv.innerHTML = `✅ Subscribed to order <strong>${orderId}</strong><br><small>💡 Email not configured - subscriptions saved locally</small>`;
+        resultDiv.innerHTML = `✅ Subscribed to order <strong>${esc(subId)}</strong><br><small>💡 Email not configured - subscriptions saved locally</small>`;
         resultDiv.style.color = '#d4af37';
       }
       // Clear form
@@ -450,38 +552,77 @@ async function init(){
 
   // Return/Replace UI removed
 
-  // Email import: parse pasted email
+  // Without a carrier provider the server only recognizes the carrier: show it with the official link
+  function showSuggestion(out, sug){
+    $('#track-input').value = sug.tracking;
+    out.textContent = `Looks like ${sug.name} · ${sug.tracking} (${Math.round(sug.confidence * 100)}% sure)`;
+    if(sug.url){
+      const a = document.createElement('a'); a.href = sug.url; a.textContent = 'Open official tracking'; a.target = '_blank'; a.rel = 'noopener';
+      out.append(' · ', a);
+    }
+  }
+
+  // "Amazon order 403-… · 2 items · arriving 2026-10-20 · to Mumbai, Maharashtra 400069 (89% sure)"
+  function describeExtraction(x){
+    if(!x || !x.confidence) return '';
+    const parts = [
+      [x.merchant, x.orderId ? `order ${x.orderId}` : ''].filter(Boolean).join(' '),
+      x.items && x.items.length ? (x.items.length === 1 ? x.items[0] : `${x.items.length} items`) : '',
+      x.expectedDelivery ? `arriving ${x.expectedDelivery}` : '',
+      x.deliveryAddress ? `to ${x.deliveryAddress.split(', ').slice(-2).join(', ')}` : '',
+    ].filter(Boolean);
+    return parts.length ? `${parts.join(' · ')} (${Math.round(x.confidence * 100)}% sure)` : '';
+  }
+
+  // Email import: pasted text/HTML/message source as JSON, .eml files as raw bytes
+  async function ingestEmail(request){
+    const out = $('#mail-result'); out.textContent = 'Reading email…';
+    try{
+      const resp = await fetch('/api/ingest-email', { method:'POST', ...request });
+      const data = await resp.json().catch(()=> ({}));
+      out.textContent = '';
+      if(resp.ok && !data.selected && data.suggested){
+        showSuggestion(out, data.suggested);
+      } else if(resp.ok){
+        const sel = data.selected;
+        if(sel && sel.tracking){ $('#track-input').value = sel.tracking; currentOrderId = sel.tracking; }
+        setStatus(sel.status); setProgress(sel.progress); setRoute(sel.route);
+        out.textContent = sel.carrier ? `Detected ${sel.carrier} · ${sel.tracking}` : 'Detected tracking';
+        if($('#live-toggle').checked) startLive(currentOrderId); else stopLive();
+        recenterMap();
+      } else {
+        const cands = (data && Array.isArray(data.candidates)) ? data.candidates : [];
+        if(cands.length){
+          out.innerHTML = 'Candidates: ' + cands.map(c=>{
+            const code = c.code || c; return `<a href="#" data-code="${code}">${code}</a>`;
+          }).join(' · ');
+          out.querySelectorAll('a[data-code]').forEach(a => a.addEventListener('click', async (ev)=>{
+            ev.preventDefault(); const code = a.getAttribute('data-code');
+            $('#track-input').value = code; await loadOrder(code); if($('#live-toggle').checked) startLive(code); else stopLive(); recenterMap();
+          }));
+        } else {
+          out.textContent = data && data.error ? data.error : 'No tracking found in email.';
+        }
+      }
+      const summary = describeExtraction(data.extraction);
+      if(summary){ const d = document.createElement('div'); d.textContent = summary; out.append(d); }
+    }catch{ out.textContent = 'Email parse failed.' }
+  }
+
   const btnParseEmail = $('#btn-parse-email');
   if(btnParseEmail){
-    btnParseEmail.addEventListener('click', async ()=>{
+    btnParseEmail.addEventListener('click', ()=>{
       const raw = ($('#mail-raw').value||'').trim();
-      const out = $('#mail-result'); out.textContent = '';
-      if(!raw){ out.textContent = 'Paste a shipping email first.'; return; }
-      try{
-        const resp = await fetch('/api/ingest-email', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ raw }) });
-        const data = await resp.json().catch(()=> ({}));
-        if(resp.ok){
-          const sel = data.selected;
-          if(sel && sel.tracking){ $('#track-input').value = sel.tracking; currentOrderId = sel.tracking; }
-          setStatus(sel.status); setProgress(sel.progress); setRoute(sel.route);
-          out.textContent = sel.carrier ? `Detected ${sel.carrier} · ${sel.tracking}` : 'Detected tracking';
-          if($('#live-toggle').checked) startLive(currentOrderId); else stopLive();
-          recenterMap();
-        } else {
-          const cands = (data && Array.isArray(data.candidates)) ? data.candidates : [];
-          if(cands.length){
-            out.innerHTML = 'Candidates: ' + cands.map(c=>{
-              const code = c.code || c; return `<a href="#" data-code="${code}">${code}</a>`;
-            }).join(' · ');
-            out.querySelectorAll('a[data-code]').forEach(a => a.addEventListener('click', async (ev)=>{
-              ev.preventDefault(); const code = a.getAttribute('data-code');
-              $('#track-input').value = code; await loadOrder(code); if($('#live-toggle').checked) startLive(code); else stopLive(); recenterMap();
-            }));
-          } else {
-            out.textContent = data && data.error ? data.error : 'No tracking found in email.';
-          }
-        }
-      }catch{ out.textContent = 'Email parse failed.' }
+      if(!raw){ $('#mail-result').textContent = 'Paste a shipping email first.'; return; }
+      ingestEmail({ headers:{'Content-Type':'application/json'}, body: JSON.stringify({ raw }) });
+    });
+  }
+  const mailFile = $('#mail-file');
+  if(mailFile){
+    mailFile.addEventListener('change', ()=>{
+      const file = mailFile.files && mailFile.files[0];
+      mailFile.value = '';
+      if(file) ingestEmail({ headers:{'Content-Type':'message/rfc822'}, body: file });
     });
   }
 
@@ -492,6 +633,7 @@ async function init(){
       const out = $('#mail-result'); out.textContent = 'Scanning…';
       try{
         const r = await fetchJSON('/api/gmail/scan');
+        if(!r.selected && r.suggested){ showSuggestion(out, r.suggested); return; }
         const sel = r.selected;
         if(sel && sel.tracking){ $('#track-input').value = sel.tracking; currentOrderId = sel.tracking; }
         setStatus(sel.status); setProgress(sel.progress); setRoute(sel.route);
@@ -501,6 +643,15 @@ async function init(){
       }catch(err){ out.textContent = 'Gmail scan unavailable or no recent shipping emails.'; }
     });
   }
+
+  // Links in notification emails open /?orderId=...
+  const linkedId = new URLSearchParams(location.search).get('orderId');
+  if(linkedId){
+    $('#track-input').value = linkedId;
+    await loadOrder(linkedId);
+    if($('#live-toggle').checked) startLive(linkedId);
+    recenterMap();
+  }
 }
 
 init();
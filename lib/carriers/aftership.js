@@ -0,0 +1,101 @@
+// AfterShip carrier provider (https://www.aftership.com, API v4)
+// Also home of the AfterShip tag mapping and tracking conversion, which the mock provider
+// reuses so fixtures can be written in AfterShip's format.
+
+const https = require('https');
+
+function carrierError(message, status, code){
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+// Map AfterShip tags (and return-to-sender subtags) to a lifecycle status and progress
+function mapAfterShipTag(tag, subtag){
+  const t = (tag || '').toString().toLowerCase();
+  const st = (subtag || '').toString().toLowerCase();
+  if(['exception_010','exception_011'].includes(st)) return { status: 'RTO', progress: 50 };
+  if(['pending','info_received','inforeceived'].includes(t)) return { status: 'Processing', progress: 15 };
+  if(['intransit','in_transit'].includes(t)) return { status: 'In Transit', progress: 70 };
+  if(['outfordelivery','out_for_delivery','availableforpickup','available_for_pickup'].includes(t)) return { status: 'Out for Delivery', progress: 85 };
+  if(['delivered'].includes(t)) return { status: 'Delivered', progress: 100 };
+  if(['attemptfail','failed_attempt'].includes(t)) return { status: 'Failed Attempt', progress: 80 };
+  if(['exception'].includes(t)) return { status: 'Exception', progress: 50 };
+  if(['expired','canceled'].includes(t)) return { status: 'Canceled', progress: 0 };
+  return { status: 'Shipped', progress: 50 };
+}
+
+// AfterShip tracking object -> provider result
+// { carrier, tracking, status, progress, tag, subtag, checkpoints[{ ts, tag, subtag, message, location, lat, lng }] }
+function fromAfterShipTracking(tr){
+  const mapped = mapAfterShipTag(tr.tag, tr.subtag);
+  const checkpoints = (Array.isArray(tr.checkpoints) ? tr.checkpoints : []).map(c => ({
+    ts: c.checkpoint_time || c.created_at || null,
+    tag: c.tag || null,
+    subtag: c.subtag || null,
+    message: c.message || null,
+    location: (c.location || [c.city, c.state, c.country_iso3 || c.country_iso2 || c.country_name].filter(Boolean).join(', ')).trim() || null,
+    lat: c.latitude != null ? Number(c.latitude) : null,
+    lng: c.longitude != null ? Number(c.longitude) : null,
+  }));
+  return {
+    carrier: tr.slug || null,
+    tracking: tr.tracking_number || null,
+    status: mapped.status,
+    progress: mapped.progress,
+    tag: tr.tag || null,
+    subtag: tr.subtag || null,
+    checkpoints,
+  };
+}
+
+function createAfterShipProvider({ apiKey, timeoutMs = 10000 }){
+  // -> parsed `data` of a successful AfterShip response
+  function call(method, apiPath, body){
+    return new Promise((resolve, reject) => {
+      const payload = body ? JSON.stringify(body) : null;
+      const headers = { 'aftership-api-key': apiKey, 'accept': 'application/json' };
+      if(payload){
+        headers['content-type'] = 'application/json';
+        headers['content-length'] = Buffer.byteLength(payload);
+      }
+      const req = https.request({ hostname: 'api.aftership.com', path: apiPath, method, headers }, (resp) => {
+        let data = '';
+        resp.on('data', chunk => data += chunk);
+        resp.on('end', () => {
+          let json;
+          try{ json = JSON.parse(data); }
+          catch{ return reject(carrierError('Failed to parse provider response', 502, 'PROVIDER_ERROR')); }
+          const code = json.meta && json.meta.code;
+          if(code && code !== 200 && code !== 201){
+            const status = code === 404 || code === 4004 ? 404 : code === 401 || code === 429 || code >= 500 ? 502 : 400;
+            return reject(carrierError(json.meta.message || 'Tracking error', status, status === 404 ? 'NOT_FOUND' : 'PROVIDER_ERROR'));
+          }
+          resolve(json.data || {});
+        });
+      });
+      req.setTimeout(timeoutMs, () => req.destroy(new Error('timeout')));
+      req.on('error', () => reject(carrierError('Tracking provider request failed', 502, 'PROVIDER_UNAVAILABLE')));
+      if(payload) req.write(payload);
+      req.end();
+    });
+  }
+
+  // Candidate carrier slugs for a tracking number, most likely first
+  async function detect(trackingNumber){
+    const data = await call('POST', '/v4/couriers/detect', { tracking: { tracking_number: String(trackingNumber) } });
+    const list = Array.isArray(data.couriers) ? data.couriers : [];
+    return list.map(c => c.slug).filter(Boolean);
+  }
+
+  async function track(carrier, trackingNumber){
+    const data = await call('GET', `/v4/trackings/${encodeURIComponent(carrier)}/${encodeURIComponent(trackingNumber)}`);
+    if(!data.tracking) throw carrierError('Tracking not found', 404, 'NOT_FOUND');
+    return { ...fromAfterShipTracking(data.tracking), carrier, tracking: trackingNumber };
+  }
+
+  return { name: 'aftership', detect, track };
+}
+
+module.exports = { mapAfterShipTag, fromAfterShipTracking, createAfterShipProvider, carrierError };
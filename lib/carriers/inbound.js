@@ -0,0 +1,125 @@
+// Inbound carrier updates: webhooks (push) and background refreshes (lib/carriers/watch.js)
+// AfterShip POSTs { event: 'tracking_update', event_id, msg: <tracking> } and signs the raw
+// body: aftership-hmac-sha256 = base64(HMAC-SHA256(secret, body)). An update is applied to
+// every stored order/shipment with the same carrier + tracking number through the lifecycle,
+// so subscriber emails, webhooks and live streams fire exactly as for admin changes.
+// Carrier data is authoritative (skipped steps are forced), but updates whose latest
+// checkpoint is older than the last one applied are ignored as out of order.
+
+const crypto = require('crypto');
+const { fromAfterShipTracking, carrierError } = require('./aftership');
+const { FLOW, canTransition, isTerminal } = require('../lifecycle');
+const { createTtlCache } = require('../ttlCache');
+
+function signAfterShipPayload(secret, rawBody){
+  return crypto.createHmac('sha256', String(secret)).update(rawBody).digest('base64');
+}
+
+function verifyAfterShipSignature(secret, rawBody, signature){
+  const expected = Buffer.from(signAfterShipPayload(secret, rawBody));
+  const given = Buffer.from(String(signature || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// -> { eventId, event, carrier, tracking, status, progress, tag, subtag, checkpoints, latest }
+function parseAfterShipWebhook(payload){
+  const msg = payload && payload.msg;
+  if(!msg || typeof msg !== 'object' || !msg.tracking_number || !msg.slug){
+    throw carrierError('Payload must contain msg.slug and msg.tracking_number', 400, 'BAD_REQUEST');
+  }
+  return {
+    eventId: payload.event_id || null,
+    event: payload.event || 'tracking_update',
+    ...toCarrierUpdate(fromAfterShipTracking(msg)),
+    updatedAt: msg.updated_at || null,
+  };
+}
+
+// Provider result (pushed or polled) -> update for apply(): adds the latest checkpoint
+function toCarrierUpdate(result){
+  const checkpoints = (result.checkpoints || []).filter(c => c.ts).sort((a, b) => new Date(a.ts) - new Date(b.ts));
+  return { ...result, latest: checkpoints[checkpoints.length - 1] || null };
+}
+
+const normCarrier = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const normTracking = (s) => String(s || '').toUpperCase().replace(/[\s\-]/g, '');
+
+function createCarrierInbound({ orders, lifecycle, logger = console }){
+  const seen = createTtlCache({ max: 5000 });
+
+  // Stored targets for a carrier + tracking number: [{ orderId, shipmentId|null, status, lastAt }]
+  function targetsFor(carrier, tracking){
+    const c = normCarrier(carrier);
+    const t = normTracking(tracking);
+    const same = (x) => normTracking(x.tracking) === t && (!x.carrier || normCarrier(x.carrier) === c);
+    const out = [];
+    for(const o of orders.list()){
+      if(Array.isArray(o.shipments) && o.shipments.length){
+        o.shipments.filter(same).forEach(sh => out.push({ orderId: o.id, shipmentId: sh.id, status: sh.status, lastAt: sh.carrierCheckpointAt || null }));
+      }else if(o.tracking && same(o)){
+        out.push({ orderId: o.id, shipmentId: null, status: o.status, lastAt: o.carrierCheckpointAt || null });
+      }
+    }
+    return out;
+  }
+
+  // Remember the latest carrier checkpoint on the order or shipment
+  function recordCheckpoint(target, update){
+    const patch = {
+      carrierCheckpointAt: update.latest ? new Date(update.latest.ts).toISOString() : null,
+      carrierTag: update.tag,
+      carrierSubtag: update.subtag,
+      lastCheckpoint: update.latest ? { ts: update.latest.ts, message: update.latest.message, location: update.latest.location } : null,
+    };
+    orders.update(target.orderId, (draft) => {
+      const dest = target.shipmentId ? (draft.shipments || []).find(s => s.id === target.shipmentId) : draft;
+      if(dest) Object.assign(dest, patch);
+    });
+  }
+
+  // -> { duplicate?, matched, results[{ orderId, shipmentId, from, to, changed, skipped? }] }
+  function apply(update){
+    if(update.eventId){
+      if(seen.get(update.eventId)) return { duplicate: true, matched: 0, results: [] };
+      seen.set(update.eventId, true, 24 * 3600 * 1000);
+    }
+    const latestAt = update.latest ? new Date(update.latest.ts) : null;
+    const results = [];
+    for(const target of targetsFor(update.carrier, update.tracking)){
+      const base = { orderId: target.orderId, shipmentId: target.shipmentId, from: target.status, to: update.status };
+      if(latestAt && target.lastAt && latestAt < new Date(target.lastAt)){
+        results.push({ ...base, changed: false, skipped: 'stale' });
+        continue;
+      }
+      // Carriers skip scans, so forward jumps along the flow are forced through; backward moves
+      // and moves out of a final status are not trusted
+      const legal = target.status === update.status || canTransition(target.status, update.status);
+      const forward = FLOW.includes(target.status) && FLOW.indexOf(update.status) > FLOW.indexOf(target.status);
+      if(!legal && !forward){
+        results.push({ ...base, changed: false, skipped: target.status === 'Delivered' || isTerminal(target.status) ? 'final' : 'backward' });
+        continue;
+      }
+      const meta = {
+        actor: 'carrier',
+        location: update.latest ? update.latest.location : null,
+        note: update.latest && update.latest.message ? `${update.carrier}: ${update.latest.message}` : `${update.carrier} update`,
+        force: !legal,
+      };
+      try{
+        const r = target.shipmentId
+          ? lifecycle.transitionShipment(target.orderId, target.shipmentId, update.status, meta)
+          : lifecycle.transition(target.orderId, update.status, meta);
+        recordCheckpoint(target, update);
+        results.push({ ...base, changed: !!r.changed });
+      }catch(err){
+        logger.warn(`[carriers] Update ${update.carrier} ${update.tracking} → ${target.orderId}: ${err.message}`);
+        results.push({ ...base, changed: false, skipped: err.message });
+      }
+    }
+    return { matched: results.length, results };
+  }
+
+  return { apply, targetsFor };
+}
+
+module.exports = { signAfterShipPayload, verifyAfterShipSignature, parseAfterShipWebhook, toCarrierUpdate, createCarrierInbound };
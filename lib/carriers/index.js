@@ -0,0 +1,121 @@
+// Carrier tracking providers
+// A provider implements detect(trackingNumber) -> slugs and track(carrier, trackingNumber) ->
+// { carrier, tracking, status, progress, tag, subtag, checkpoints[] }. createCarrierProvider
+// picks one (CARRIER_PROVIDER: aftership | mock | none; default aftership when an API key is
+// set), normalizes checkpoints (oldest first, each with a lifecycle status and coordinates,
+// geocoded from the location when the carrier sends none) and adds the map polyline plus a
+// checkpoints(carrier, trackingNumber) shortcut.
+// Failures are Errors with .status (404 unknown tracking, 429 rate limited, 502 provider trouble).
+//
+// Lookups are cached per carrier + tracking number (short TTL while the shipment moves, long
+// once it is final; detections and unknown numbers are cached too), concurrent lookups for
+// the same key share one upstream call, and upstream calls go through a token bucket.
+
+const path = require('path');
+const { createAfterShipProvider, mapAfterShipTag } = require('./aftership');
+const { createMockProvider } = require('./mock');
+const { createTtlCache } = require('../ttlCache');
+const { createTokenBucket } = require('../rateLimit');
+const { isTerminal } = require('../lifecycle');
+
+const CARRIER_PROVIDERS = ['aftership', 'mock'];
+const DEFAULT_CACHE = {
+  activeTtlMs: 2 * 60 * 1000,
+  finalTtlMs: 24 * 3600 * 1000,
+  detectTtlMs: 24 * 3600 * 1000,
+  notFoundTtlMs: 5 * 60 * 1000,
+  max: 2000,
+};
+const DEFAULT_MOCK_FILE = path.join(__dirname, '..', '..', 'fixtures', 'carriers', 'mock-trackings.json');
+
+// Provider checkpoints -> [{ ts, location, message, status, tag, subtag, lat, lng }], oldest first.
+// Missing coordinates are geocoded once per distinct location; lat/lng stay null when that fails.
+async function normalizeCheckpoints(checkpoints, geocode){
+  const list = (checkpoints || []).map(c => ({
+    ts: c.ts || null,
+    location: c.location || null,
+    message: c.message || null,
+    status: mapAfterShipTag(c.tag, c.subtag).status,
+    tag: c.tag || null,
+    subtag: c.subtag || null,
+    lat: c.lat != null ? Number(c.lat) : null,
+    lng: c.lng != null ? Number(c.lng) : null,
+  })).sort((a, b) => (a.ts ? new Date(a.ts) : 0) - (b.ts ? new Date(b.ts) : 0));
+  if(!geocode) return list;
+  const places = new Map();
+  for(const c of list){
+    if(c.lat != null || !c.location) continue;
+    if(!places.has(c.location)){
+      try{ places.set(c.location, await geocode(c.location)); }catch{ places.set(c.location, null); }
+    }
+    const hit = places.get(c.location);
+    if(hit){ c.lat = hit.lat; c.lng = hit.lng; }
+  }
+  return list;
+}
+
+// Checkpoint coordinates in order, without repeats of the same place
+function buildCarrierPolyline(checkpoints){
+  const pts = [];
+  for(const c of checkpoints){
+    if(c.lat == null || c.lng == null) continue;
+    const last = pts[pts.length - 1];
+    if(!last || last[0] !== c.lat || last[1] !== c.lng) pts.push([c.lat, c.lng]);
+  }
+  return pts;
+}
+
+// -> provider or null when carrier tracking is off
+function createCarrierProvider({ provider, apiKey, mockFile, geocode, cache: cacheOptions = {}, rateLimit = {}, logger = console } = {}){
+  const name = String(provider || (apiKey ? 'aftership' : 'none')).trim().toLowerCase();
+  let impl = null;
+  if(name === 'aftership'){
+    if(apiKey) impl = createAfterShipProvider({ apiKey });
+    else logger.warn('[carriers] CARRIER_PROVIDER=aftership needs AFTERSHIP_API_KEY; carrier tracking is off');
+  }else if(name === 'mock'){
+    impl = createMockProvider({ file: mockFile || DEFAULT_MOCK_FILE });
+  }else if(!['none', 'off', ''].includes(name)){
+    logger.warn(`[carriers] Unknown CARRIER_PROVIDER "${name}" (expected ${CARRIER_PROVIDERS.join(', ')} or none); carrier tracking is off`);
+  }
+  if(!impl) return null;
+
+  const ttl = { ...DEFAULT_CACHE };
+  Object.entries(cacheOptions).forEach(([k, v]) => { if(v > 0) ttl[k] = v; });
+  const cache = createTtlCache({ max: ttl.max });
+  const bucket = createTokenBucket(rateLimit);
+  const notFoundTtl = (err) => (err && err.status === 404 ? ttl.notFoundTtlMs : 0);
+  const isFinal = (status) => status === 'Delivered' || isTerminal(status);
+
+  function detect(trackingNumber){
+    const number = String(trackingNumber).trim();
+    return cache.wrap(`detect:${number.toUpperCase()}`, () => bucket.schedule(() => impl.detect(number)), {
+      ttl: (slugs) => (slugs.length ? ttl.detectTtlMs : ttl.notFoundTtlMs),
+    });
+  }
+
+  function track(carrier, trackingNumber){
+    const slug = String(carrier).trim().toLowerCase();
+    const number = String(trackingNumber).trim();
+    return cache.wrap(`track:${slug}:${number.toUpperCase()}`, async () => {
+      const result = await bucket.schedule(() => impl.track(slug, number));
+      const checkpoints = await normalizeCheckpoints(result.checkpoints, geocode);
+      const polyline = buildCarrierPolyline(checkpoints);
+      return polyline.length ? { ...result, checkpoints, polyline } : { ...result, checkpoints };
+    }, {
+      ttl: (result) => (isFinal(result.status) ? ttl.finalTtlMs : ttl.activeTtlMs),
+      errorTtl: notFoundTtl,
+    });
+  }
+
+  return {
+    name: impl.name,
+    detect,
+    track,
+    checkpoints: async (carrier, trackingNumber) => (await track(carrier, trackingNumber)).checkpoints,
+    // Drop the cached lookup (e.g. after a pushed update)
+    invalidate: (carrier, trackingNumber) => cache.delete(`track:${String(carrier).trim().toLowerCase()}:${String(trackingNumber).trim().toUpperCase()}`),
+    stats: () => ({ cache: cache.stats(), rateLimit: bucket.stats() }),
+  };
+}
+
+module.exports = { CARRIER_PROVIDERS, createCarrierProvider, normalizeCheckpoints, buildCarrierPolyline, mapAfterShipTag };
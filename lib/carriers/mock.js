@@ -0,0 +1,35 @@
+// File-backed mock carrier provider for offline development
+// Reads AfterShip-style tracking objects from a JSON file ({ trackings: [...] } or a plain
+// array) on every call, so edits show up without a restart. A tracking number is "detected"
+// for every slug it appears under.
+
+const fs = require('fs');
+const { fromAfterShipTracking, carrierError } = require('./aftership');
+
+const normalize = (s) => String(s || '').replace(/\s+/g, '').toUpperCase();
+
+function createMockProvider({ file }){
+  function load(){
+    let json;
+    try{ json = JSON.parse(fs.readFileSync(file, 'utf8')); }
+    catch(err){ throw carrierError(`Mock carrier data unreadable (${file}): ${err.message}`, 502, 'PROVIDER_UNAVAILABLE'); }
+    return Array.isArray(json) ? json : (json.trackings || []);
+  }
+
+  async function detect(trackingNumber){
+    const key = normalize(trackingNumber);
+    return [...new Set(load().filter(t => normalize(t.tracking_number) === key).map(t => t.slug))];
+  }
+
+  async function track(carrier, trackingNumber){
+    const key = normalize(trackingNumber);
+    const slug = String(carrier || '').toLowerCase();
+    const tr = load().find(t => t.slug === slug && normalize(t.tracking_number) === key);
+    if(!tr) throw carrierError('Tracking not found', 404, 'NOT_FOUND');
+    return fromAfterShipTracking(tr);
+  }
+
+  return { name: 'mock', detect, track };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,141 @@
+// Offline tracking-number recognizer
+// Matches a code against known carrier formats and validates check digits where the format
+// has one (UPS 1Z, UPU S10 postal items, USPS IMpb, FedEx, DHL Express, Blue Dart). Formats
+// without a public checksum (Delhivery, DTDC, Ekart, Amazon) match on shape only and rank lower.
+// recognizeTracking(code) -> [{ carrier, name, confidence, checksum, trackingNumber, url }], best first.
+
+const CARRIERS = {
+  'ups': { name: 'UPS', url: (n) => `https://www.ups.com/track?loc=en_US&tracknum=${n}` },
+  'usps': { name: 'USPS', url: (n) => `https://tools.usps.com/go/TrackConfirmAction?tLabels=${n}` },
+  'fedex': { name: 'FedEx', url: (n) => `https://www.fedex.com/fedextrack/?trknbr=${n}` },
+  'dhl': { name: 'DHL', url: (n) => `https://www.dhl.com/global-en/home/tracking/tracking-express.html?tracking-id=${n}` },
+  'amazon': { name: 'Amazon Logistics', url: (n) => `https://track.amazon.in/?trackingId=${n}` },
+  'bluedart': { name: 'Blue Dart', url: (n) => `https://www.bluedart.com/trackdartresult?trackFor=0&trackInput=${n}` },
+  'delhivery': { name: 'Delhivery', url: (n) => `https://www.delhivery.com/track/package/${n}/` },
+  'dtdc': { name: 'DTDC', url: (n) => `https://www.dtdc.com/track/shipment-tracking.asp?cnNo=${n}` },
+  // Ekart's public page needs its form; link the homepage for manual entry
+  'ekart': { name: 'Ekart (Flipkart)', url: () => 'https://www.ekartlogistics.com/' },
+  'india-post': { name: 'India Post', url: () => 'https://www.indiapost.gov.in/_layouts/15/dop.portal.tracking/trackconsignment.aspx' },
+  'royal-mail': { name: 'Royal Mail', url: (n) => `https://www.royalmail.com/track-your-item#/tracking-results/${n}` },
+  'canada-post': { name: 'Canada Post', url: (n) => `https://www.canadapost-postescanada.ca/track-reperage/en#/search?searchFor=${n}` },
+  'australia-post': { name: 'Australia Post', url: (n) => `https://auspost.com.au/mypost/track/details/${n}` },
+  'deutsche-post': { name: 'Deutsche Post', url: (n) => `https://www.deutschepost.de/sendung/simpleQuery.html?form.sendungsnummer=${n}` },
+  'china-post': { name: 'China Post', url: null },
+};
+
+// S10 country suffix -> postal carrier
+const POSTS = { US: 'usps', IN: 'india-post', GB: 'royal-mail', CA: 'canada-post', AU: 'australia-post', DE: 'deutsche-post', CN: 'china-post' };
+
+const digits = (s) => s.split('').map(Number);
+
+// UPS: letters count as (charCode - 63) % 10, odd positions x1, even x2, over the 15 chars after 1Z
+function upsCheck(code){
+  const body = code.slice(2, 17);
+  let sum = 0;
+  for(let i = 0; i < body.length; i++){
+    const c = body[i];
+    const v = /\d/.test(c) ? Number(c) : (c.charCodeAt(0) - 63) % 10;
+    sum += i % 2 ? v * 2 : v;
+  }
+  return (10 - (sum % 10)) % 10 === Number(code[17]);
+}
+
+// UPU S10: weights 8 6 4 2 3 5 9 7 over the 8 serial digits, 11 - sum mod 11 (10 -> 0, 11 -> 5)
+function s10Check(serial, check){
+  const w = [8, 6, 4, 2, 3, 5, 9, 7];
+  const sum = digits(serial).reduce((acc, d, i) => acc + d * w[i], 0);
+  let c = 11 - (sum % 11);
+  if(c === 10) c = 0;
+  if(c === 11) c = 5;
+  return c === Number(check);
+}
+
+// GS1 mod 10: weights 3,1,3,... from the rightmost data digit (USPS IMpb, FedEx Ground)
+function mod10Check(num){
+  const data = digits(num.slice(0, -1)).reverse();
+  const sum = data.reduce((acc, d, i) => acc + d * (i % 2 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10 === Number(num.slice(-1));
+}
+
+// FedEx Express 12 digits: weights 3 1 7 repeating, sum mod 11 mod 10
+function fedexExpressCheck(num){
+  const w = [3, 1, 7];
+  const sum = digits(num.slice(0, 11)).reduce((acc, d, i) => acc + d * w[i % 3], 0);
+  return (sum % 11) % 10 === Number(num[11]);
+}
+
+// DHL Express (10 digits) and Blue Dart (11 digits): serial mod 7
+function mod7Check(num){
+  return Number(num.slice(0, -1)) % 7 === Number(num.slice(-1));
+}
+
+// Each rule: pattern, carrier (or carrierFor), optional check, confidence when it passes.
+// `distinctive` formats still match at low confidence when the check digit is wrong (likely a typo).
+const RULES = [
+  { carrier: 'ups', pattern: /^1Z[0-9A-Z]{16}$/, check: upsCheck, confidence: 0.98, distinctive: true },
+  { carrierFor: (c) => POSTS[c.slice(-2)] || null, pattern: /^[A-Z]{2}\d{9}[A-Z]{2}$/, check: (c) => s10Check(c.slice(2, 10), c[10]), confidence: 0.95, distinctive: true },
+  { carrier: 'usps', pattern: /^(?:420\d{5}(?:\d{4})?)?(9[1-5]\d{18,20})$/, check: (c, m) => mod10Check(m[1]), confidence: 0.9 },
+  { carrier: 'amazon', pattern: /^TBA\d{12}$/, confidence: 0.9 },
+  { carrier: 'ekart', pattern: /^FMP[A-Z]\d{6,12}$/, confidence: 0.85 },
+  { carrier: 'fedex', pattern: /^\d{12}$/, check: fedexExpressCheck, confidence: 0.7 },
+  { carrier: 'fedex', pattern: /^\d{15}$/, check: mod10Check, confidence: 0.6 },
+  { carrier: 'dhl', pattern: /^JJD\d{18,20}$/, confidence: 0.8 },
+  { carrier: 'dhl', pattern: /^\d{10}$/, check: mod7Check, confidence: 0.55 },
+  { carrier: 'bluedart', pattern: /^\d{11}$/, check: mod7Check, confidence: 0.6 },
+  { carrier: 'delhivery', pattern: /^\d{13,14}$/, confidence: 0.35 },
+  { carrier: 'dtdc', pattern: /^[A-Z]\d{8}$/, confidence: 0.35 },
+];
+
+function normalizeTracking(code){
+  return String(code || '').toUpperCase().replace(/[\s\-]/g, '');
+}
+
+function carrierName(slug){
+  return CARRIERS[slug] ? CARRIERS[slug].name : slug;
+}
+
+function trackingUrl(slug, trackingNumber){
+  const c = CARRIERS[slug];
+  return c && c.url ? c.url(encodeURIComponent(trackingNumber)) : null;
+}
+
+function recognizeTracking(code){
+  const num = normalizeTracking(code);
+  const matches = [];
+  if(num.length < 8 || num.length > 34) return matches;
+  for(const rule of RULES){
+    const m = num.match(rule.pattern);
+    if(!m) continue;
+    const carrier = rule.carrier || rule.carrierFor(num);
+    if(!carrier) continue;
+    let checksum = 'none';
+    let confidence = rule.confidence;
+    if(rule.check){
+      checksum = rule.check(num, m) ? 'valid' : 'invalid';
+      if(checksum === 'invalid'){
+        if(!rule.distinctive) continue;
+        confidence = 0.3;
+      }
+    }
+    if(matches.some(x => x.carrier === carrier)) continue;
+    matches.push({ carrier, name: carrierName(carrier), confidence, checksum, trackingNumber: num, url: trackingUrl(carrier, num) });
+  }
+  return matches.sort((a, b) => b.confidence - a.confidence);
+}
+
+// Recognized tracking numbers in free text (emails), best first:
+// [{ code, matches[] }]. Codes printed in groups ("1Z 999 AA1 ...", "9400 1000 ...") are joined.
+function findTrackingNumbers(text, { limit = 10 } = {}){
+  const src = String(text || '').toUpperCase();
+  const tokens = new Set();
+  (src.match(/\b1Z(?: ?[0-9A-Z]){16}\b/g) || []).forEach(t => tokens.add(normalizeTracking(t)));
+  (src.match(/\b\d{4}(?: \d{4}){3,7}(?: \d{1,4})?\b/g) || []).forEach(t => tokens.add(normalizeTracking(t)));
+  (src.match(/\b[A-Z0-9]{8,34}\b/g) || []).filter(t => /\d{4}/.test(t)).forEach(t => tokens.add(t));
+  return [...tokens]
+    .map(code => ({ code, matches: recognizeTracking(code) }))
+    .filter(c => c.matches.length)
+    .sort((a, b) => b.matches[0].confidence - a.matches[0].confidence)
+    .slice(0, limit);
+}
+
+module.exports = { CARRIERS, normalizeTracking, carrierName, trackingUrl, recognizeTracking, findTrackingNumbers };
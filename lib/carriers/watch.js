@@ -0,0 +1,156 @@
+// Background refresh of carrier-tracked orders (source: 'carrier')
+// Orders created from a bare tracking number (e.g. someone subscribing to it) are re-fetched
+// from the carrier provider at intervals that follow their status: often while out for
+// delivery, rarely while only a label exists, backing off after errors. Updates go through
+// the same apply() as carrier webhooks, so a status change reaches the lifecycle and with it
+// the notification pipeline. Polling stops once the shipment is delivered or final, the
+// carrier reports it expired, it has not changed for expireDays, it keeps coming back as
+// unknown, or nobody follows it any more. State lives on the order under `watch`.
+
+const { isTerminal } = require('../lifecycle');
+const { toCarrierUpdate } = require('./inbound');
+
+const MINUTE = 60000;
+const DEFAULT_REFRESH_MS = {
+  'Out for Delivery': 15 * MINUTE,
+  'Failed Attempt': 30 * MINUTE,
+  'Exception': 30 * MINUTE,
+  'In Transit': 60 * MINUTE,
+  'Shipped': 120 * MINUTE,
+  'RTO': 180 * MINUTE,
+  'Processing': 240 * MINUTE,
+};
+const MAX_BACKOFF_MS = 12 * 60 * MINUTE;
+
+// orders: store collection; carriers: provider (lib/carriers); apply(update) from createCarrierInbound;
+// hasSubscribers(orderId) -> boolean
+function createShipmentWatcher({ orders, carriers, apply, hasSubscribers = () => true, refreshMs = DEFAULT_REFRESH_MS, tickMs = MINUTE, expireDays = 30, maxNotFound = 5, logger = console }){
+  let timer = null;
+  let running = false;
+
+  const intervalFor = (status) => refreshMs[status] || 60 * MINUTE;
+  const isFinal = (status) => status === 'Delivered' || isTerminal(status);
+
+  function setWatch(id, patch){
+    return orders.update(id, (draft) => { draft.watch = { ...(draft.watch || {}), ...patch }; });
+  }
+
+  function stopWatch(id, reason, now = new Date()){
+    logger.log(`[Watch] Stopped refreshing ${id}: ${reason}`);
+    return setWatch(id, { active: false, nextCheckAt: null, stoppedAt: now.toISOString(), stopReason: reason });
+  }
+
+  // (Re)start polling an order, e.g. when someone subscribes
+  function watch(id, now = new Date()){
+    const order = orders.get(id);
+    if(!order || order.source !== 'carrier') return null;
+    if(isFinal(order.status)) return stopWatch(id, order.status === 'Delivered' ? 'delivered' : 'final', now);
+    if(order.watch && order.watch.active) return order;
+    return setWatch(id, {
+      active: true,
+      nextCheckAt: new Date(now.getTime() + intervalFor(order.status)).toISOString(),
+      lastChangeAt: (order.watch && order.watch.lastChangeAt) || order.updatedAt || now.toISOString(),
+      failures: 0,
+      stoppedAt: null,
+      stopReason: null,
+    });
+  }
+
+  // Fetch one order from the carrier and apply it -> { id, changed, from, to, stopped?, error? }
+  async function refresh(id, now = new Date()){
+    const order = orders.get(id);
+    if(!order || order.source !== 'carrier') return null;
+    const w = order.watch || {};
+    if(!hasSubscribers(id)){
+      stopWatch(id, 'unsubscribed', now);
+      return { id, changed: false, stopped: 'unsubscribed' };
+    }
+
+    let result;
+    try{
+      // A poll wants fresh data, not the shared lookup cache
+      carriers.invalidate(order.carrier, order.tracking);
+      result = await carriers.track(order.carrier, order.tracking);
+    }catch(err){
+      // Rate limiting is ours, not the shipment's: retry next tick without counting it
+      if(err.status === 429){
+        setWatch(id, { nextCheckAt: new Date(now.getTime() + tickMs).toISOString() });
+        return { id, changed: false, error: err.message };
+      }
+      const failures = (w.failures || 0) + 1;
+      if(err.status === 404 && failures >= maxNotFound){
+        stopWatch(id, 'not_found', now);
+        return { id, changed: false, error: err.message, stopped: 'not_found' };
+      }
+      const backoff = Math.min(MAX_BACKOFF_MS, intervalFor(order.status) * 2 ** Math.min(failures, 6));
+      setWatch(id, { failures, lastError: err.message, lastCheckedAt: now.toISOString(), nextCheckAt: new Date(now.getTime() + backoff).toISOString() });
+      return { id, changed: false, error: err.message };
+    }
+
+    const applied = apply(toCarrierUpdate(result));
+    const changed = applied.results.some(r => r.orderId === id && r.changed);
+    const after = orders.get(id);
+    const pts = Array.isArray(result.polyline) ? result.polyline : [];
+    orders.update(id, (draft) => {
+      if(Array.isArray(result.checkpoints)) draft.checkpoints = result.checkpoints;
+      if(pts.length){
+        draft.polyline = pts;
+        draft.origin = pts[0];
+        if(!draft.dest || isFinal(after.status)) draft.dest = pts[pts.length - 1];
+      }
+      draft.watch = {
+        ...(draft.watch || {}),
+        failures: 0,
+        lastError: null,
+        lastCheckedAt: now.toISOString(),
+        lastChangeAt: changed ? now.toISOString() : (draft.watch && draft.watch.lastChangeAt) || draft.updatedAt,
+        nextCheckAt: new Date(now.getTime() + intervalFor(after.status)).toISOString(),
+      };
+    });
+
+    let stopped = null;
+    const lastChangeAt = orders.get(id).watch.lastChangeAt;
+    if(after.status === 'Delivered') stopped = 'delivered';
+    else if(String(result.tag || '').toLowerCase() === 'expired') stopped = 'expired';
+    else if(isFinal(after.status)) stopped = 'final';
+    else if(lastChangeAt && now - new Date(lastChangeAt) > expireDays * 24 * 60 * MINUTE) stopped = 'expired';
+    if(stopped) stopWatch(id, stopped, now);
+    return { id, changed, from: order.status, to: after.status, stopped };
+  }
+
+  // Refresh every watched order that is due, one at a time
+  async function run(now = new Date(), { all = false } = {}){
+    if(running) return [];
+    running = true;
+    const done = [];
+    try{
+      const due = orders.find(o => o.source === 'carrier' && o.watch && o.watch.active && (all || !o.watch.nextCheckAt || new Date(o.watch.nextCheckAt) <= now));
+      for(const o of due){
+        try{ done.push(await refresh(o.id, now)); }
+        catch(err){ logger.error(`[Watch] Refresh of ${o.id} failed:`, err.message); }
+      }
+    }finally{
+      running = false;
+    }
+    return done;
+  }
+
+  function list(){
+    return orders.find(o => o.source === 'carrier').map(o => ({ id: o.id, carrier: o.carrier, tracking: o.tracking, status: o.status, watch: o.watch || null }));
+  }
+
+  function start(){
+    if(timer) return;
+    timer = setInterval(() => run().catch(err => logger.error('[Watch] Scheduler error:', err.message)), tickMs);
+    timer.unref?.();
+  }
+
+  function stop(){
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { watch, refresh, run, list, start, stop, intervalFor };
+}
+
+module.exports = { DEFAULT_REFRESH_MS, createShipmentWatcher };
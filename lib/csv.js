@@ -0,0 +1,53 @@
+// Minimal RFC 4180 CSV reader/writer (quoted fields, "" escapes, CRLF or LF line endings)
+// Written cells that a spreadsheet would run as a formula get a leading "'" (unguardCell() undoes it).
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function parseCSV(text){
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, ''); // strip BOM from spreadsheet exports
+  for(let i = 0; i < src.length; i++){
+    const ch = src[i];
+    if(quoted){
+      if(ch === '"'){
+        if(src[i + 1] === '"'){ field += '"'; i++; }
+        else quoted = false;
+      }else{
+        field += ch;
+      }
+      continue;
+    }
+    if(ch === '"' && field === ''){ quoted = true; continue; }
+    if(ch === ','){ row.push(field); field = ''; continue; }
+    if(ch === '\r' && src[i + 1] === '\n') continue;
+    if(ch === '\n' || ch === '\r'){
+      row.push(field); rows.push(row);
+      row = []; field = '';
+      continue;
+    }
+    field += ch;
+  }
+  if(field !== '' || row.length){ row.push(field); rows.push(row); }
+  // Drop blank lines
+  return rows.filter(r => r.some(v => String(v).trim() !== ''));
+}
+
+function csvField(v){
+  if(v == null) return '';
+  const s = FORMULA_START.test(String(v)) ? `'${v}` : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCSVRow(values){
+  return values.map(csvField).join(',') + '\r\n';
+}
+
+// Cell read back from a file we wrote: drop the formula guard
+function unguardCell(v){
+  return /^'[=+\-@\t\r]/.test(v) ? v.slice(1) : v;
+}
+
+module.exports = { parseCSV, toCSVRow, unguardCell };
@@ -0,0 +1,128 @@
+// Email delivery preferences and digest batching
+// Each subscriber email chooses 'immediate' (default), 'hourly' or 'daily'. For digest
+// subscribers, status changes (and delay alerts) are queued with the time their digest is due (next full
+// hour, or the next dailyHour:00 server time); the scheduler then sends one summary per
+// email with every change that is due.
+
+const { genId } = require('./store');
+
+const FREQUENCIES = ['immediate', 'hourly', 'daily'];
+
+function digestError(message, status, code){
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+function normalizeFrequency(v){
+  const f = String(v || '').trim().toLowerCase();
+  return FREQUENCIES.includes(f) ? f : null;
+}
+
+// When a change queued at `at` goes out
+function digestDueAt(frequency, at, dailyHour){
+  const d = new Date(at);
+  if(frequency === 'hourly'){
+    d.setMinutes(60, 0, 0);
+    return d;
+  }
+  const run = new Date(d);
+  run.setHours(dailyHour, 0, 0, 0);
+  if(run <= d) run.setDate(run.getDate() + 1);
+  return run;
+}
+
+// send(email, orders[{ orderId, changes[] }]) -> Promise<{ success }>
+function createDigests({ preferences, queue, send, dailyHour = 8, intervalMs = 60000 }){
+  let timer = null;
+  let running = false;
+
+  function getPreference(email){
+    const p = preferences.get(email);
+    return (p && p.frequency) || 'immediate';
+  }
+
+  function setPreference(email, frequency){
+    const f = normalizeFrequency(frequency);
+    if(!f) throw digestError(`frequency must be one of: ${FREQUENCIES.join(', ')}`, 400, 'BAD_REQUEST');
+    const now = new Date();
+    const pref = preferences.has(email)
+      ? preferences.update(email, { frequency: f, updatedAt: now.toISOString() })
+      : preferences.put(email, { email, frequency: f, createdAt: now.toISOString(), updatedAt: now.toISOString(), lastDigestAt: null });
+    // Re-time what is already waiting; switching to immediate flushes it on the next run
+    for(const item of queue.find(i => i.email === email)){
+      const due = f === 'immediate' ? now : digestDueAt(f, item.ts, dailyHour);
+      queue.update(item.id, { dueAt: due.toISOString() });
+    }
+    if(f === 'immediate') setImmediate(run);
+    return pref;
+  }
+
+  // change: { orderId, from, to, ts, location?, note?, kind? } where kind 'delayed' marks an SLA alert
+  function queueChange(email, change){
+    const frequency = getPreference(email);
+    const ts = change.ts || new Date().toISOString();
+    return queue.put(genId('dig'), {
+      email,
+      orderId: change.orderId,
+      from: change.from || null,
+      to: change.to,
+      ts,
+      location: change.location || null,
+      note: change.note || null,
+      kind: change.kind || 'status',
+      dueAt: digestDueAt(frequency === 'immediate' ? 'hourly' : frequency, ts, dailyHour).toISOString(),
+    });
+  }
+
+  function pendingFor(email){
+    return queue.find(i => i.email === email).sort((a, b) => a.ts.localeCompare(b.ts));
+  }
+
+  // Send every digest that is due; items stay queued if sending fails
+  async function run(now = new Date()){
+    if(running) return 0;
+    running = true;
+    let sent = 0;
+    try{
+      const due = queue.find(i => new Date(i.dueAt) <= now);
+      const byEmail = new Map();
+      due.forEach(i => { if(!byEmail.has(i.email)) byEmail.set(i.email, []); byEmail.get(i.email).push(i); });
+      for(const [email, items] of byEmail){
+        items.sort((a, b) => a.ts.localeCompare(b.ts));
+        const grouped = new Map();
+        items.forEach(i => { if(!grouped.has(i.orderId)) grouped.set(i.orderId, []); grouped.get(i.orderId).push(i); });
+        const list = [...grouped].map(([orderId, changes]) => ({ orderId, changes }));
+        let result;
+        try{ result = await send(email, list); }
+        catch(err){ result = { success: false, reason: err.message }; }
+        if(!result || !result.success){
+          console.warn(`[Digest] Could not send digest to ${email}:`, (result && result.reason) || 'unknown error');
+          continue;
+        }
+        items.forEach(i => queue.remove(i.id));
+        if(preferences.has(email)) preferences.update(email, { lastDigestAt: new Date().toISOString() });
+        sent++;
+      }
+    }finally{
+      running = false;
+    }
+    return sent;
+  }
+
+  function start(){
+    if(timer) return;
+    timer = setInterval(() => run().catch(err => console.error('[Digest] Scheduler error:', err.message)), intervalMs);
+    timer.unref?.();
+  }
+
+  function stop(){
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { getPreference, setPreference, queueChange, pendingFor, run, start, stop };
+}
+
+module.exports = { FREQUENCIES, normalizeFrequency, digestDueAt, createDigests };
@@ -0,0 +1,271 @@
+// Notification email templates
+// Each template returns plain data (subject, title, paragraphs, status change, details,
+// sections, button, footer); one shared layout turns it into escaped HTML plus a plain-text
+// alternative, so templates never build markup themselves.
+//
+// Brand settings: { name, color, accentColor, logoUrl, supportEmail }; links are made
+// absolute with baseUrl (PUBLIC_BASE_URL).
+
+const DEFAULT_BRAND = {
+  name: 'Order Tracker',
+  color: '#7c3aed',
+  accentColor: '#d4af37',
+  logoUrl: '',
+  supportEmail: '',
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+function escapeHtml(v){
+  return String(v == null ? '' : v).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+// Brand colours end up in style attributes, so only plain hex values are accepted
+const safeColor = (v, fallback) => /^#[0-9a-f]{3,8}$/i.test(String(v || '')) ? v : fallback;
+const safeUrl = (v) => /^https?:\/\//i.test(String(v || '')) ? String(v) : '';
+
+function route(order){
+  return `${(order && order.originName) || 'Origin'} → ${(order && order.destName) || 'Destination'}`;
+}
+
+const RMA_STEPS = {
+  requested: (rma) => `We received your ${rma.type === 'replace' ? 'replacement' : 'return'} request and will review it shortly.`,
+  approved: () => 'Your request was approved. We will let you know when a pickup is scheduled.',
+  pickup_scheduled: (rma) => `A courier will pick up the item on ${rma.pickupDate ? new Date(rma.pickupDate).toDateString() : 'the scheduled date'}. Please keep it packed in the original packaging.`,
+  picked_up: () => 'The item was picked up and is on its way to our warehouse.',
+  received: () => 'The item arrived at our warehouse and is being inspected.',
+  refunded: () => 'Your refund has been issued. It may take a few business days to appear.',
+  replaced: () => 'Your replacement is on its way.',
+  rejected: () => 'Unfortunately your request could not be accepted.',
+};
+
+// Shared body of the status-update templates
+function statusUpdate({ order, from, to, event, trackUrl, unsubscribeUrl }, { subject, title, lead }){
+  return {
+    subject,
+    title,
+    paragraphs: ['Hi there,', lead],
+    status: { from, to },
+    details: [
+      ['Route', route(order)],
+      event && event.location ? ['Location', event.location] : null,
+      event && event.note ? ['Note', event.note] : null,
+    ],
+    button: { label: 'Track your order', url: trackUrl },
+    footer: [`You're receiving this because you subscribed to updates for order ${order.id}.`],
+    unsubscribeUrl,
+  };
+}
+
+// name -> (data, brand) => content
+const TEMPLATES = {
+  // Double opt-in: data { order, confirmUrl, trackUrl }
+  subscribed: ({ order, confirmUrl, trackUrl }) => ({
+    subject: `Order ${order.id} - Please confirm your subscription`,
+    title: 'Confirm your subscription',
+    paragraphs: ['Hi there,', `Please confirm that you want email updates for order ${order.id}.`],
+    button: { label: 'Confirm subscription', url: confirmUrl },
+    details: [['Current status', order.status], ['Route', route(order)]],
+    secondaryLink: { label: 'Track your order anytime', url: trackUrl },
+    footer: ["If you didn't request this, just ignore this email and you won't hear from us."],
+  }),
+  // data for the status templates: { order, from, to, event?, trackUrl, unsubscribeUrl }
+  status_update: (d) => statusUpdate(d, {
+    subject: `Order ${d.order.id} Update - ${d.to}`,
+    title: 'Order status updated',
+    lead: `Your order ${d.order.id} is now ${d.to}.`,
+  }),
+  shipped: (d) => statusUpdate(d, {
+    subject: `Order ${d.order.id} has shipped`,
+    title: 'Your order is on its way',
+    lead: `Good news! Order ${d.order.id} has left ${d.order.originName || 'our warehouse'}.`,
+  }),
+  out_for_delivery: (d) => statusUpdate(d, {
+    subject: `Order ${d.order.id} is out for delivery`,
+    title: 'Out for delivery',
+    lead: `Order ${d.order.id} is out for delivery today. Please keep your phone handy.`,
+  }),
+  delivered: (d) => statusUpdate(d, {
+    subject: `Order ${d.order.id} was delivered`,
+    title: 'Delivered',
+    lead: `Order ${d.order.id} has been delivered. We hope you enjoy it!`,
+  }),
+  exception: (d) => statusUpdate(d, {
+    subject: `Order ${d.order.id} needs attention - ${d.to}`,
+    title: 'There is a problem with your delivery',
+    lead: d.to === 'Failed Attempt'
+      ? `The courier could not deliver order ${d.order.id}. They will try again soon.`
+      : d.to === 'RTO'
+        ? `Order ${d.order.id} could not be delivered and is being returned to the sender.`
+        : `The carrier reported a problem with order ${d.order.id}. We're looking into it.`,
+  }),
+  // SLA monitor alert: data { order, reasons[], promisedBy?, trackUrl, unsubscribeUrl }
+  delayed: ({ order, reasons = [], promisedBy, trackUrl, unsubscribeUrl }) => ({
+    subject: `Order ${order.id} is delayed`,
+    title: 'Your order is running late',
+    paragraphs: [
+      'Hi there,',
+      `Order ${order.id} is taking longer than expected. We're sorry for the wait and are following up with the carrier.`,
+      "You'll get another email as soon as it moves again.",
+    ],
+    details: [
+      ['Current status', order.status],
+      ['Route', route(order)],
+      promisedBy ? ['Originally expected', new Date(promisedBy).toDateString()] : null,
+      reasons.length ? ['Why', reasons.join('; ')] : null,
+    ],
+    button: { label: 'Track your order', url: trackUrl },
+    footer: [`You're receiving this because you subscribed to updates for order ${order.id}.`],
+    unsubscribeUrl,
+  }),
+  // Hourly/daily summary. data { frequency, orders: [{ order, changes[{ from, to, ts, location?, note?, kind? }], trackUrl, unsubscribeUrl }] }
+  digest: ({ frequency, orders = [] }) => {
+    const count = orders.reduce((n, o) => n + o.changes.length, 0);
+    return {
+      subject: `Your ${frequency === 'daily' ? 'daily' : 'hourly'} order summary - ${count} update${count === 1 ? '' : 's'}`,
+      title: `${count} update${count === 1 ? '' : 's'} on ${orders.length} order${orders.length === 1 ? '' : 's'}`,
+      paragraphs: ['Hi there,', `Here is what changed since your last ${frequency === 'daily' ? 'daily' : 'hourly'} summary.`],
+      sections: orders.map(({ order, changes, trackUrl, unsubscribeUrl }) => ({
+        heading: `Order ${order.id}: ${order.status}`,
+        details: [['Route', route(order)]],
+        lines: changes.map(c => `${new Date(c.ts).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}: `
+          + (c.kind === 'delayed' ? `Running late (${c.to})` : `${c.from ? `${c.from} → ` : ''}${c.to}`)
+          + (c.location ? ` (${c.location})` : '') + (c.note ? ` - ${c.note}` : '')),
+        links: [{ label: 'Track', url: trackUrl }, { label: 'Unsubscribe from this order', url: unsubscribeUrl }],
+      })),
+      footer: [`You're receiving this because you chose ${frequency} summaries for your order subscriptions.`],
+    };
+  },
+  // data { rma, order, label, trackUrl }
+  rma_update: ({ rma, order, label, trackUrl }) => {
+    const last = (rma.history || [])[(rma.history || []).length - 1] || {};
+    const step = RMA_STEPS[rma.status];
+    return {
+      subject: `Return ${rma.id} - ${label}`,
+      title: `Return ${rma.id}: ${label}`,
+      paragraphs: [
+        `Order ${rma.orderId}${rma.shipmentId ? ` (package ${rma.shipmentId})` : ''}${order && order.destName ? ` to ${order.destName}` : ''}.`,
+        step ? step(rma) : '',
+      ],
+      details: [last.note ? ['Note', last.note] : null],
+      button: trackUrl ? { label: 'View your order', url: trackUrl } : null,
+    };
+  },
+};
+
+// Which template announces a new order status
+function templateForStatus(status){
+  if(status === 'Shipped') return 'shipped';
+  if(status === 'Out for Delivery') return 'out_for_delivery';
+  if(status === 'Delivered') return 'delivered';
+  if(['Exception', 'Failed Attempt', 'RTO'].includes(status)) return 'exception';
+  return 'status_update';
+}
+
+function renderHtml(c, brand){
+  const color = brand.color;
+  const p = (text) => `<p style="margin:0 0 12px;">${escapeHtml(text)}</p>`;
+  const badge = (text, bg) => `<span style="display:inline-block;padding:8px 16px;border-radius:20px;background:${bg};color:#ffffff;font-weight:bold;">${escapeHtml(text)}</span>`;
+  const parts = [];
+  parts.push((c.paragraphs || []).filter(Boolean).map(p).join(''));
+  if(c.status && c.status.to){
+    parts.push(`<p style="text-align:center;margin:20px 0;">${c.status.from ? badge(c.status.from, '#94a3b8') + ' <span style="font-size:20px;margin:0 8px;">→</span> ' : ''}${badge(c.status.to, color)}</p>`);
+  }
+  const details = (c.details || []).filter(Boolean);
+  if(details.length){
+    parts.push(`<table role="presentation" style="margin:0 0 12px;border-collapse:collapse;">${details.map(([k, v]) =>
+      `<tr><td style="padding:2px 12px 2px 0;font-weight:bold;vertical-align:top;">${escapeHtml(k)}:</td><td style="padding:2px 0;">${escapeHtml(v)}</td></tr>`).join('')}</table>`);
+  }
+  for(const sec of c.sections || []){
+    const rows = (sec.details || []).filter(Boolean).map(([k, v]) => `<div><strong>${escapeHtml(k)}:</strong> ${escapeHtml(v)}</div>`).join('');
+    const items = (sec.lines || []).map(l => `<li style="margin:2px 0;">${escapeHtml(l)}</li>`).join('');
+    const links = (sec.links || []).filter(l => l && l.url).map(l => `<a href="${escapeHtml(l.url)}" style="color:${color};">${escapeHtml(l.label)}</a>`).join(' · ');
+    parts.push(`<div style="border:1px solid #e5e7eb;border-radius:8px;padding:12px 16px;margin:0 0 12px;">`
+      + `<h3 style="margin:0 0 6px;font-size:16px;">${escapeHtml(sec.heading)}</h3>${rows}`
+      + (items ? `<ul style="margin:8px 0;padding-left:20px;">${items}</ul>` : '')
+      + (links ? `<div style="font-size:13px;">${links}</div>` : '') + `</div>`);
+  }
+  if(c.button && c.button.url){
+    parts.push(`<p style="text-align:center;margin:24px 0;"><a href="${escapeHtml(c.button.url)}" style="display:inline-block;padding:12px 24px;border-radius:8px;background:${color};color:#ffffff;font-weight:bold;text-decoration:none;">${escapeHtml(c.button.label)}</a></p>`);
+  }
+  if(c.secondaryLink && c.secondaryLink.url){
+    parts.push(`<p style="margin:0 0 12px;"><a href="${escapeHtml(c.secondaryLink.url)}" style="color:${color};">${escapeHtml(c.secondaryLink.label)}</a></p>`);
+  }
+  const footer = [...(c.footer || []), `This is an automated message from ${brand.name}. Please do not reply to this email.`];
+  if(brand.supportEmail) footer.push(`Questions? Contact ${brand.supportEmail}`);
+  const unsubscribe = c.unsubscribeUrl ? ` <a href="${escapeHtml(c.unsubscribeUrl)}" style="color:#666666;">Unsubscribe</a>` : '';
+  const logo = brand.logoUrl ? `<img src="${escapeHtml(brand.logoUrl)}" alt="" height="32" style="vertical-align:middle;margin-right:8px;">` : '🚚 ';
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width"><title>${escapeHtml(c.subject)}</title></head>
+<body style="margin:0;font-family:Arial,sans-serif;background:#f5f5f5;padding:20px;color:#1f2937;">
+  <div style="background:#ffffff;border-radius:10px;max-width:600px;margin:0 auto;box-shadow:0 4px 12px rgba(0,0,0,0.1);">
+    <div style="background:${color};background:linear-gradient(135deg, ${brand.accentColor}, ${color});color:#ffffff;padding:20px;border-radius:10px 10px 0 0;text-align:center;">
+      <h1 style="margin:0;font-size:24px;">${logo}${escapeHtml(brand.name)}</h1>
+    </div>
+    <div style="padding:30px;">
+      <h2 style="margin-top:0;">${escapeHtml(c.title)}</h2>
+      ${parts.join('\n      ')}
+      <div style="margin-top:30px;padding-top:20px;border-top:1px solid #dddddd;color:#666666;font-size:12px;text-align:center;">
+        ${footer.map(f => `<p style="margin:0 0 6px;">${escapeHtml(f)}</p>`).join('')}${unsubscribe ? `<p style="margin:0;">${unsubscribe.trim()}</p>` : ''}
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+`;
+}
+
+function renderText(c, brand){
+  const lines = [brand.name, '', c.title, ''];
+  (c.paragraphs || []).filter(Boolean).forEach(t => lines.push(t, ''));
+  if(c.status && c.status.to){
+    lines.push(`Status: ${c.status.from ? `${c.status.from} → ` : ''}${c.status.to}`, '');
+  }
+  const details = (c.details || []).filter(Boolean);
+  if(details.length){
+    details.forEach(([k, v]) => lines.push(`${k}: ${v}`));
+    lines.push('');
+  }
+  for(const sec of c.sections || []){
+    lines.push(sec.heading);
+    (sec.details || []).filter(Boolean).forEach(([k, v]) => lines.push(`${k}: ${v}`));
+    (sec.lines || []).forEach(l => lines.push(`  - ${l}`));
+    (sec.links || []).filter(l => l && l.url).forEach(l => lines.push(`${l.label}: ${l.url}`));
+    lines.push('');
+  }
+  if(c.button && c.button.url) lines.push(`${c.button.label}: ${c.button.url}`, '');
+  if(c.secondaryLink && c.secondaryLink.url) lines.push(`${c.secondaryLink.label}: ${c.secondaryLink.url}`, '');
+  lines.push('--');
+  (c.footer || []).forEach(f => lines.push(f));
+  lines.push(`This is an automated message from ${brand.name}. Please do not reply to this email.`);
+  if(brand.supportEmail) lines.push(`Questions? Contact ${brand.supportEmail}`);
+  if(c.unsubscribeUrl) lines.push(`Unsubscribe: ${c.unsubscribeUrl}`);
+  return lines.join('\n') + '\n';
+}
+
+function createEmailRenderer({ brand = {}, baseUrl = 'http://localhost:3000' } = {}){
+  const b = {
+    name: String(brand.name || DEFAULT_BRAND.name).slice(0, 80),
+    color: safeColor(brand.color, DEFAULT_BRAND.color),
+    accentColor: safeColor(brand.accentColor, DEFAULT_BRAND.accentColor),
+    logoUrl: safeUrl(brand.logoUrl),
+    supportEmail: String(brand.supportEmail || ''),
+  };
+  const base = String(baseUrl).replace(/\/+$/, '');
+
+  // Absolute link for emails (paths start with "/")
+  const url = (p = '/') => base + p;
+
+  // -> { subject, html, text }
+  function render(name, data){
+    const tpl = Object.prototype.hasOwnProperty.call(TEMPLATES, name) ? TEMPLATES[name] : null;
+    if(!tpl) throw new Error(`Unknown email template: ${name}`);
+    const content = tpl(data || {}, b);
+    return { subject: content.subject, html: renderHtml(content, b), text: renderText(content, b) };
+  }
+
+  return { brand: b, url, render };
+}
+
+module.exports = { EMAIL_TEMPLATES: Object.keys(TEMPLATES), createEmailRenderer, templateForStatus, escapeHtml };
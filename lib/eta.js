@@ -0,0 +1,141 @@
+// Distance- and calendar-aware delivery estimates
+// Remaining time = handling before dispatch (Processing/Packed) + line haul over the
+// road distance (haversine × roadFactor) at the service level's km per day + last mile.
+// Days are business days: weekends and holidays are skipped, and orders that are not yet
+// shipped only start counting the next business day once the dispatch cutoff has passed.
+// Estimates count from when the current status was entered (`since`), so they stay put between
+// requests; the request time only keeps them from landing in the past.
+// Dates use the server's local time zone.
+
+const { haversineKm } = require('./geo/route');
+
+const DEFAULT_SERVICE_LEVELS = {
+  express: { kmPerDay: 800, handlingDays: 0 },
+  standard: { kmPerDay: 450, handlingDays: 1 },
+  economy: { kmPerDay: 250, handlingDays: 2 },
+};
+
+// Share of the line haul still ahead, and how sure we are, per status
+const STATUS_MODEL = {
+  'Processing': { haul: 1, preDispatch: true, confidence: 0.6 },
+  'Packed': { haul: 1, preDispatch: true, confidence: 0.65 },
+  'Shipped': { haul: 1, confidence: 0.7 },
+  'Partially Shipped': { haul: 1, confidence: 0.6 },
+  'In Transit': { haul: 0.5, confidence: 0.75 },
+  'Exception': { haul: 0.5, extraDays: 2, confidence: 0.35 },
+  'Failed Attempt': { haul: 0, lastMileDays: 1, confidence: 0.6 },
+  'Out for Delivery': { haul: 0, lastMileDays: 0, confidence: 0.9 },
+  'Partially Delivered': { haul: 0.5, confidence: 0.6 },
+};
+const NO_ETA = ['Delivered', 'Canceled', 'Returned', 'RTO'];
+
+const LOCAL_KM = 50; // closer than this is a same-city delivery
+
+// "express=900,standard=500" -> km per day overrides
+function parseServiceSpeeds(input){
+  const levels = JSON.parse(JSON.stringify(DEFAULT_SERVICE_LEVELS));
+  String(input || '').split(',').map(p => p.split('=')).forEach(([k, v]) => {
+    const key = String(k || '').trim().toLowerCase();
+    const kmPerDay = Number(v);
+    if(!key || !Number.isFinite(kmPerDay) || kmPerDay <= 0) return;
+    levels[key] = { ...(levels[key] || { handlingDays: 1 }), kmPerDay };
+  });
+  return levels;
+}
+
+// "2025-01-26, 2025-08-15" -> Set of YYYY-MM-DD
+function parseHolidays(input){
+  return new Set(String(input || '').split(/[\s,;]+/).map(s => s.trim()).filter(s => /^\d{4}-\d{2}-\d{2}$/.test(s)));
+}
+
+function localDay(d){
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function createEtaEngine({ serviceLevels = DEFAULT_SERVICE_LEVELS, defaultServiceLevel = 'standard', holidays = new Set(), weekendDays = [0, 6], cutoffHour = 14, deliveryHour = 18, roadFactor = 1.3 } = {}){
+  const isBusinessDay = (d) => !weekendDays.includes(d.getDay()) && !holidays.has(localDay(d));
+
+  function nextBusinessDay(d){
+    const x = new Date(d);
+    do{ x.setDate(x.getDate() + 1); }while(!isBusinessDay(x));
+    return x;
+  }
+
+  // n business days after `start` (0 = start itself if it is a business day)
+  function addBusinessDays(start, n){
+    let d = new Date(start);
+    if(!isBusinessDay(d)) d = nextBusinessDay(d);
+    for(let i = 0; i < n; i++) d = nextBusinessDay(d);
+    d.setHours(deliveryHour, 0, 0, 0);
+    return d;
+  }
+
+  // Earliest delivery still possible at `now`: today's delivery hour, or the next business day's
+  function soonest(now){
+    let d = new Date(now);
+    if(!isBusinessDay(d) || d.getHours() >= deliveryHour) d = nextBusinessDay(d);
+    d.setHours(deliveryHour, 0, 0, 0);
+    return d;
+  }
+
+  // input: { status, origin, dest, serviceLevel?, since?, now? } where since is when the status was entered
+  // (defaults to now)
+  // -> { etaISO, window: { earliestISO, latestISO }, confidence, businessDays, distanceKm, roadKm, serviceLevel, basis, startsISO }
+  function estimate({ status, origin, dest, serviceLevel, since, now = new Date() }){
+    const levelName = serviceLevels[String(serviceLevel || '').toLowerCase()] ? String(serviceLevel).toLowerCase() : defaultServiceLevel;
+    const level = serviceLevels[levelName] || DEFAULT_SERVICE_LEVELS.standard;
+    if(NO_ETA.includes(status)){
+      return { etaISO: null, window: null, confidence: null, businessDays: 0, distanceKm: null, roadKm: null, serviceLevel: levelName, basis: 'final' };
+    }
+    const model = STATUS_MODEL[status] || { haul: 1, confidence: 0.5 };
+    const hasRoute = Array.isArray(origin) && Array.isArray(dest);
+    const distanceKm = hasRoute ? haversineKm(origin, dest) : null;
+    // Without coordinates assume an average inter-city trip
+    const roadKm = hasRoute ? distanceKm * roadFactor : 800;
+    const local = hasRoute && distanceKm < LOCAL_KM;
+
+    let days = 0;
+    if(model.preDispatch) days += level.handlingDays;
+    const haulDays = local ? 0 : Math.ceil((roadKm * model.haul) / level.kmPerDay);
+    days += haulDays;
+    days += model.lastMileDays != null ? model.lastMileDays : (local ? 1 : haulDays > 0 ? 1 : 0);
+    days += model.extraDays || 0;
+
+    // Not dispatched yet: after the cutoff (or on a day off) work starts the next business day
+    const anchor = since ? new Date(since) : new Date(now);
+    let start = Number.isNaN(anchor.getTime()) || anchor > now ? new Date(now) : anchor;
+    if(model.preDispatch && (!isBusinessDay(start) || start.getHours() >= cutoffHour)) start = nextBusinessDay(start);
+    // Out for delivery after business hours means tomorrow
+    if(status === 'Out for Delivery' && start.getHours() >= deliveryHour) start = nextBusinessDay(start);
+
+    // Running late: nothing is promised before the next possible delivery
+    const floor = soonest(now);
+    const notBefore = (d) => (d < floor ? floor : d);
+    const eta = notBefore(addBusinessDays(start, days));
+    const spreadLate = Math.max(1, Math.ceil(days * 0.3));
+    const spreadEarly = Math.floor(days * 0.2);
+    const earliest = notBefore(addBusinessDays(start, Math.max(0, days - spreadEarly)));
+    const latest = notBefore(addBusinessDays(start, days + (status === 'Out for Delivery' ? 0 : spreadLate)));
+
+    // Longer trips and unknown routes are less predictable
+    let confidence = model.confidence - (hasRoute ? Math.min(0.25, (roadKm * model.haul) / 1000 * 0.05) : 0.2);
+    confidence = Math.round(Math.max(0.1, Math.min(0.95, confidence)) * 100) / 100;
+
+    return {
+      etaISO: eta.toISOString(),
+      window: { earliestISO: earliest.toISOString(), latestISO: latest.toISOString() },
+      confidence,
+      businessDays: days,
+      distanceKm: distanceKm == null ? null : Math.round(distanceKm),
+      roadKm: Math.round(roadKm),
+      serviceLevel: levelName,
+      basis: hasRoute ? 'distance' : 'status',
+      startsISO: start.toISOString(),
+    };
+  }
+
+  return { estimate, addBusinessDays, isBusinessDay, serviceLevels };
+}
+
+module.exports = { DEFAULT_SERVICE_LEVELS, haversineKm, parseServiceSpeeds, parseHolidays, createEtaEngine };
@@ -0,0 +1,102 @@
+// Offline gazetteer: Indian and major world cities, Indian pincodes and logistics hubs
+// Data lives in gazetteer.json (cities, hubs, countries and 3-digit pincode prefixes). lookup()
+// understands the shapes places arrive in here: carrier checkpoint locations ("Leipzig, DEU",
+// "Washington, DC, USA"), airport/hub codes ("DEL"), postal addresses ending in a pincode and
+// plain city names, including old names ("Bombay", "Gurgaon").
+// lookup(query) -> { name, lat, lng, kind: 'hub'|'city'|'pincode'|'country', country } or null
+
+const DEFAULT_DATA = require('./gazetteer.json');
+
+const HUB_WORDS = /\b(hub|gateway|airport|air cargo|cargo|sort(ing)? cent(er|re)|facility|warehouse|terminal)\b/;
+
+function normalizePlace(s){
+  return String(s || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function createGazetteer(data = DEFAULT_DATA){
+  const byName = new Map(); // normalized name/alias -> [place]
+  const byCode = new Map(); // hub code -> hub
+  const countries = new Map(); // iso2 / iso3 / name -> country
+  const cities = new Map(); // city name -> city
+  const hubs = [];
+
+  const add = (key, place) => {
+    const k = normalizePlace(key);
+    if(!k) return;
+    if(!byName.has(k)) byName.set(k, []);
+    byName.get(k).push(place);
+  };
+  const place = (p, kind) => ({ name: p.name, lat: p.lat, lng: p.lng, kind, country: p.country || null, ...(p.city ? { city: p.city } : {}) });
+
+  (data.cities || []).forEach(c => {
+    const p = place(c, 'city');
+    cities.set(c.name, p);
+    [c.name, ...(c.aliases || [])].forEach(n => add(n, p));
+  });
+  (data.hubs || []).forEach(h => {
+    const p = place(h, 'hub');
+    hubs.push(p);
+    if(h.code) byCode.set(h.code.toUpperCase(), p);
+    [h.name, ...(h.aliases || [])].forEach(n => add(n, p));
+  });
+  (data.countries || []).forEach(c => {
+    const p = { name: c.name, lat: c.lat, lng: c.lng, kind: 'country', country: c.iso2 };
+    [c.iso2, c.iso3, c.name, ...(c.aliases || [])].forEach(n => countries.set(normalizePlace(n), p));
+  });
+  const pincodes = data.pincodes || {};
+
+  // Longest run of words in `text` that names a place -> [place]
+  function matchWords(text){
+    const words = text.split(' ');
+    for(let n = Math.min(4, words.length); n > 0; n--){
+      for(let i = 0; i + n <= words.length; i++){
+        const hit = byName.get(words.slice(i, i + n).join(' '));
+        if(hit) return hit;
+      }
+    }
+    return null;
+  }
+
+  function lookup(query){
+    const raw = String(query || '').trim();
+    if(!raw) return null;
+    const parts = raw.split(/[,;|\n]+/).map(s => s.trim()).filter(Boolean);
+    const norm = normalizePlace(raw);
+
+    // Carriers put the country last ("Leipzig, DEU"); a bare country name is a last resort
+    const last = parts[parts.length - 1];
+    const country = countries.get(normalizePlace(last)) || null;
+    const inCountry = (list) => (country ? list.filter(p => p.country === country.country) : list);
+
+    // Airport / hub codes written as their own part ("DEL", "Gateway, LEJ")
+    for(const part of parts){
+      if(/^[A-Z]{3}$/.test(part) && byCode.has(part) && !countries.has(normalizePlace(part))) return byCode.get(part);
+    }
+
+    // Indian pincode: the 3-digit prefix is the sorting district, more reliable than street names
+    const pin = raw.match(/\b([1-9]\d{2})\s?\d{3}\b/);
+    if(pin && (!country || country.country === 'IN') && pincodes[pin[1]]){
+      const city = cities.get(pincodes[pin[1]]);
+      if(city) return { ...city, name: `${city.name} ${pin[0].replace(/\s/g, '')}`, kind: 'pincode' };
+    }
+
+    // First part that names a place wins; country filter breaks ties like Birmingham GB/US
+    for(const part of country && parts.length > 1 ? parts.slice(0, -1) : parts){
+      const hits = matchWords(normalizePlace(part));
+      if(!hits) continue;
+      const pick = inCountry(hits)[0] || hits[0];
+      // "Leipzig hub", "Mumbai air cargo": prefer the hub serving that city
+      if(pick.kind === 'city' && HUB_WORDS.test(norm)){
+        const hub = hubs.find(h => h.city === pick.name);
+        if(hub) return hub;
+      }
+      return pick;
+    }
+    // Two letters are as likely a US state ("CA") as a country: no centroid guess for those
+    return country && last.length > 2 ? country : null;
+  }
+
+  return { lookup, size: () => ({ places: byName.size, hubs: hubs.length, pincodes: Object.keys(pincodes).length }) };
+}
+
+module.exports = { createGazetteer, normalizePlace };
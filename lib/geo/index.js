@@ -0,0 +1,126 @@
+// Geocoding: place name / address / hub code -> { lat, lng, name, source, kind }
+// The bundled gazetteer (lib/geo/gazetteer.js) answers first and needs no network, so demo
+// orders, imports and carrier checkpoints resolve offline. Nominatim is an optional fallback
+// (GEOCODE_FALLBACK=nominatim): throttled through a token bucket, concurrent lookups of the
+// same place share one request, and answers are kept in a JSON cache file with separate TTLs
+// for hits and misses. The file is written atomically (temp file + rename) and batched, not
+// rewritten on every lookup. Network failures are never cached.
+
+const fs = require('fs');
+const path = require('path');
+const { createGazetteer, normalizePlace } = require('./gazetteer');
+const { createNominatimClient } = require('./nominatim');
+const { createTokenBucket } = require('../rateLimit');
+
+const DAY = 24 * 3600 * 1000;
+const GEOCODE_FALLBACKS = ['nominatim'];
+
+function readJson(file){
+  try{ return JSON.parse(fs.readFileSync(file, 'utf8')); }catch{ return null; }
+}
+
+// -> { geocode(query), lookup(query), stats(), flush() }
+// legacyCacheFile: the old { key: {lat,lng}|null } cache, imported (hits only) when cacheFile is new
+function createGeocoder({ gazetteer = createGazetteer(), fallback, cacheFile, legacyCacheFile, hitTtlMs = 30 * DAY, missTtlMs = DAY, maxEntries = 5000, ratePerSec = 1, userAgent, email, client, logger = console, now = () => Date.now() } = {}){
+  const name = String(fallback || 'none').trim().toLowerCase();
+  let upstream = client || null;
+  if(!upstream && name === 'nominatim'){
+    const bucket = createTokenBucket({ perSecond: ratePerSec, burst: 1, maxWaitMs: 15000, message: 'Too many geocoding lookups, try again shortly' });
+    upstream = createNominatimClient({ userAgent, email, bucket });
+  }else if(!upstream && !['none', 'off', ''].includes(name)){
+    logger.warn(`[Geo] Unknown GEOCODE_FALLBACK "${name}" (expected ${GEOCODE_FALLBACKS.join(', ')} or none); using the gazetteer only`);
+  }
+
+  const counters = { lookups: 0, offline: 0, cacheHits: 0, upstream: 0, misses: 0, errors: 0 };
+  const inflight = new Map();
+  let entries = {}; // key -> { hit: { lat, lng, name } | null, at }
+  let saveTimer = null;
+
+  if(cacheFile){
+    const doc = readJson(cacheFile);
+    if(doc && doc.entries) entries = doc.entries;
+    else if(legacyCacheFile){
+      const legacy = readJson(legacyCacheFile) || {};
+      const at = new Date(now()).toISOString();
+      Object.entries(legacy).forEach(([k, v]) => { if(v && v.lat != null) entries[k] = { hit: { lat: v.lat, lng: v.lng, name: k }, at }; });
+    }
+  }
+
+  const keyFor = (query) => normalizePlace(query);
+  const fresh = (e) => e && now() - new Date(e.at).getTime() < (e.hit ? hitTtlMs : missTtlMs);
+
+  function persist(){
+    saveTimer = null;
+    if(!cacheFile) return;
+    // Drop expired answers and keep the newest maxEntries
+    const kept = Object.entries(entries).filter(([, e]) => fresh(e))
+      .sort((a, b) => new Date(b[1].at) - new Date(a[1].at)).slice(0, maxEntries);
+    entries = Object.fromEntries(kept);
+    try{
+      fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+      const tmp = `${cacheFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: 1, entries }, null, 2));
+      fs.renameSync(tmp, cacheFile);
+    }catch(err){
+      logger.warn('[Geo] Could not write', cacheFile, '-', err.message);
+    }
+  }
+
+  function scheduleSave(){
+    if(saveTimer || !cacheFile) return;
+    saveTimer = setTimeout(persist, 1000);
+    saveTimer.unref?.();
+  }
+
+  function flush(){
+    if(saveTimer){ clearTimeout(saveTimer); persist(); }
+  }
+
+  // Offline only
+  function lookup(query){
+    const hit = gazetteer.lookup(query);
+    return hit ? { lat: hit.lat, lng: hit.lng, name: hit.name, source: 'gazetteer', kind: hit.kind } : null;
+  }
+
+  async function geocode(query){
+    const key = keyFor(query);
+    if(!key) return null;
+    counters.lookups++;
+    const offline = lookup(query);
+    if(offline){ counters.offline++; return offline; }
+    if(!upstream){ counters.misses++; return null; }
+
+    const cached = entries[key];
+    if(fresh(cached)){
+      counters.cacheHits++;
+      return cached.hit ? { ...cached.hit, source: 'cache' } : null;
+    }
+    if(inflight.has(key)) return inflight.get(key);
+    const p = (async () => {
+      try{
+        counters.upstream++;
+        const hit = await upstream.search(String(query).trim());
+        entries[key] = { hit, at: new Date(now()).toISOString() };
+        scheduleSave();
+        if(!hit) counters.misses++;
+        return hit ? { ...hit, source: upstream.name || 'nominatim' } : null;
+      }catch(err){
+        counters.errors++;
+        logger.warn(`[Geo] Lookup of "${query}" failed:`, err.message);
+        return null;
+      }finally{
+        inflight.delete(key);
+      }
+    })();
+    inflight.set(key, p);
+    return p;
+  }
+
+  function stats(){
+    return { fallback: upstream ? (upstream.name || name) : 'none', gazetteer: gazetteer.size(), cached: Object.keys(entries).length, ...counters };
+  }
+
+  return { geocode, lookup, stats, flush };
+}
+
+module.exports = { GEOCODE_FALLBACKS, createGeocoder, createGazetteer };
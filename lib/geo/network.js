@@ -0,0 +1,123 @@
+// Hub-and-spoke logistics network: warehouses, sort hubs and the line-haul lanes between them
+// The default network (network.json) covers the main Indian corridors; HUB_NETWORK_FILE can
+// point at another file of the same shape: { attachKm, facilities: [{ id, name, type, lat, lng }],
+// lanes: [[fromId, toId], ...] }. Lanes run both ways and cost their great-circle length.
+//
+// plan(origin, dest) turns a shipment into ordered legs: origin -> nearest facility -> the
+// shortest lane path (Dijkstra) -> the hub nearest the destination -> destination. Local
+// deliveries, places far from any facility and paths with silly detours stay a single leg.
+// progressOnLegs(legs, km) says which leg a package `km` into the journey is on.
+
+const fs = require('fs');
+const { haversineKm } = require('./route');
+const DEFAULT_NETWORK = require('./network.json');
+
+const LOCAL_KM = 50; // closer than this is a same-city delivery, no hubs involved
+const MERGE_KM = 1; // a facility this close to an endpoint is the endpoint
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const coords = (n) => [n.lat, n.lng];
+
+function loadHubNetwork(file){
+  const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if(!doc || !Array.isArray(doc.facilities)) throw new Error(`${file}: expected { facilities: [...], lanes: [...] }`);
+  return doc;
+}
+
+function createHubNetwork({ facilities = [], lanes = [], attachKm = 300, detourFactor = 1.6 } = DEFAULT_NETWORK){
+  const byId = new Map();
+  facilities.forEach(f => {
+    if(!f || !f.id || !Number.isFinite(Number(f.lat)) || !Number.isFinite(Number(f.lng))) return;
+    byId.set(String(f.id), { id: String(f.id), name: f.name || String(f.id), type: f.type === 'warehouse' ? 'warehouse' : 'hub', lat: Number(f.lat), lng: Number(f.lng) });
+  });
+  const adj = new Map([...byId.keys()].map(id => [id, []]));
+  lanes.forEach(([a, b]) => {
+    if(!byId.has(a) || !byId.has(b) || a === b) return;
+    const km = haversineKm(coords(byId.get(a)), coords(byId.get(b)));
+    adj.get(a).push({ to: b, km });
+    adj.get(b).push({ to: a, km });
+  });
+
+  function nearest(point, type){
+    let best = null;
+    for(const f of byId.values()){
+      if(type && f.type !== type) continue;
+      const km = haversineKm(point, coords(f));
+      if(!best || km < best.km) best = { facility: f, km };
+    }
+    return best;
+  }
+
+  // Dijkstra over the lanes -> [facilityId, ...] or null when unreachable
+  function shortestPath(from, to){
+    const dist = new Map([[from, 0]]);
+    const prev = new Map();
+    const open = new Set([from]);
+    while(open.size){
+      let cur = null;
+      for(const id of open) if(cur === null || dist.get(id) < dist.get(cur)) cur = id;
+      open.delete(cur);
+      if(cur === to) break;
+      for(const { to: next, km } of adj.get(cur)){
+        const d = dist.get(cur) + km;
+        if(!dist.has(next) || d < dist.get(next)){
+          dist.set(next, d);
+          prev.set(next, cur);
+          open.add(next);
+        }
+      }
+    }
+    if(!dist.has(to)) return null;
+    const path = [to];
+    while(path[0] !== from) path.unshift(prev.get(path[0]));
+    return path;
+  }
+
+  // -> [{ index, from, to, km }]; stops are { id?, name, type: origin|warehouse|hub|destination, lat, lng }
+  function plan(origin, dest, { originName, destName } = {}){
+    if(!Array.isArray(origin) || !Array.isArray(dest)) return [];
+    const start = { name: originName || 'Origin', type: 'origin', lat: origin[0], lng: origin[1] };
+    const end = { name: destName || 'Destination', type: 'destination', lat: dest[0], lng: dest[1] };
+    const direct = haversineKm(origin, dest);
+    let stops = [start, end];
+    if(direct >= LOCAL_KM && byId.size){
+      const first = nearest(origin);
+      const last = nearest(dest, 'hub');
+      const path = first && last && first.km <= attachKm && last.km <= attachKm ? shortestPath(first.facility.id, last.facility.id) : null;
+      if(path){
+        const via = path.map(id => byId.get(id))
+          .filter(f => haversineKm(coords(f), origin) > MERGE_KM && haversineKm(coords(f), dest) > MERGE_KM);
+        const candidate = [start, ...via, end];
+        let km = 0;
+        for(let i = 1; i < candidate.length; i++) km += haversineKm(coords(candidate[i - 1]), coords(candidate[i]));
+        if(km <= direct * detourFactor) stops = candidate;
+      }
+    }
+    return stops.slice(1).map((to, i) => ({ index: i, from: stops[i], to, km: round1(haversineKm(coords(stops[i]), coords(to))) }));
+  }
+
+  return { plan, facilities: () => [...byId.values()], size: () => ({ facilities: byId.size, lanes: lanes.length }) };
+}
+
+// Where a package `km` into its journey is -> { legs (with state done|active|pending), active, at }
+// `at` is the stop it was last at (the start of the active leg, or the destination once there)
+function progressOnLegs(legs, km){
+  if(!legs.length) return { legs: [], active: null, at: null };
+  const total = legs.reduce((s, l) => s + l.km, 0);
+  let active = null;
+  if(km < total - 0.05){
+    let acc = 0;
+    for(const leg of legs){
+      if(km < acc + leg.km){ active = leg.index; break; }
+      acc += leg.km;
+    }
+  }
+  const state = (i) => (active === null || i < active ? 'done' : i === active ? 'active' : 'pending');
+  return {
+    legs: legs.map(l => ({ ...l, state: state(l.index) })),
+    active,
+    at: active === null ? legs[legs.length - 1].to : legs[active].from,
+  };
+}
+
+module.exports = { DEFAULT_NETWORK, loadHubNetwork, createHubNetwork, progressOnLegs };
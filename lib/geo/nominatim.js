@@ -0,0 +1,47 @@
+// OpenStreetMap Nominatim search client (https://nominatim.org/release-docs/latest/api/Search/)
+// The public instance allows about one request per second and needs an identifying
+// User-Agent, so every call goes through the token bucket passed in. search() resolves
+// { lat, lng, name } or null when nothing matched, and rejects on network/HTTP failures so
+// callers can tell "no such place" (cacheable) from "try again later" (not).
+
+const https = require('https');
+
+function geoError(message, status, code){
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+function createNominatimClient({ baseUrl = 'https://nominatim.openstreetmap.org', userAgent = 'order-tracker-demo/1.0', email, bucket, timeoutMs = 8000 }){
+  function request(query){
+    return new Promise((resolve, reject) => {
+      const url = new URL('/search', baseUrl);
+      url.searchParams.set('q', query);
+      url.searchParams.set('format', 'json');
+      url.searchParams.set('limit', '1');
+      if(email) url.searchParams.set('email', email);
+      const req = https.request(url, { method: 'GET', headers: { 'User-Agent': userAgent, 'Accept': 'application/json' } }, (resp) => {
+        let data = '';
+        resp.on('data', d => data += d);
+        resp.on('end', () => {
+          if(resp.statusCode !== 200) return reject(geoError(`Nominatim responded ${resp.statusCode}`, 502, 'GEOCODER_ERROR'));
+          try{
+            const arr = JSON.parse(data);
+            resolve(Array.isArray(arr) && arr[0] ? { lat: Number(arr[0].lat), lng: Number(arr[0].lon), name: arr[0].display_name || query } : null);
+          }catch{ reject(geoError('Failed to parse Nominatim response', 502, 'GEOCODER_ERROR')); }
+        });
+      });
+      req.setTimeout(timeoutMs, () => req.destroy(new Error('timeout')));
+      req.on('error', () => reject(geoError('Nominatim request failed', 502, 'GEOCODER_UNAVAILABLE')));
+      req.end();
+    });
+  }
+
+  return {
+    name: 'nominatim',
+    search: (query) => (bucket ? bucket.schedule(() => request(query)) : request(query)),
+  };
+}
+
+module.exports = { createNominatimClient };
@@ -0,0 +1,89 @@
+// Route geometry on the sphere
+// Points are [lat, lng]. Long hops are drawn as great circles sampled every ~stepKm, so a
+// Delhi→Mumbai or London→Leipzig line curves the way the map projection expects, and the
+// truck is placed by distance along the drawn line rather than by blending coordinates.
+// routeProgress(points, fraction) -> { polyline, distanceKm, travelledKm, remainingKm, current }
+
+const EARTH_KM = 6371;
+const rad = (d) => d * Math.PI / 180;
+const deg = (r) => r * 180 / Math.PI;
+
+function haversineKm(a, b){
+  const dLat = rad(b[0] - a[0]);
+  const dLng = rad(b[1] - a[1]);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a[0])) * Math.cos(rad(b[0])) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+const round = (n) => Math.round(n * 1e5) / 1e5;
+
+// Point a fraction f of the way from a to b along the great circle
+function intermediatePoint(a, b, f){
+  const d = haversineKm(a, b) / EARTH_KM;
+  if(d < 1e-9) return [a[0], a[1]];
+  const [la1, lo1, la2, lo2] = [rad(a[0]), rad(a[1]), rad(b[0]), rad(b[1])];
+  const A = Math.sin((1 - f) * d) / Math.sin(d);
+  const B = Math.sin(f * d) / Math.sin(d);
+  const x = A * Math.cos(la1) * Math.cos(lo1) + B * Math.cos(la2) * Math.cos(lo2);
+  const y = A * Math.cos(la1) * Math.sin(lo1) + B * Math.cos(la2) * Math.sin(lo2);
+  const z = A * Math.sin(la1) + B * Math.sin(la2);
+  return [round(deg(Math.atan2(z, Math.sqrt(x * x + y * y)))), round(deg(Math.atan2(y, x)))];
+}
+
+// Great-circle path from a to b, endpoints included
+function greatCirclePath(a, b, { stepKm = 50, maxPoints = 64 } = {}){
+  const km = haversineKm(a, b);
+  const n = Math.max(1, Math.min(maxPoints - 1, Math.ceil(km / stepKm)));
+  const out = [[a[0], a[1]]];
+  for(let i = 1; i < n; i++) out.push(intermediatePoint(a, b, i / n));
+  out.push([b[0], b[1]]);
+  return out;
+}
+
+// Join waypoints (origin, hubs..., dest) with great-circle segments
+function densifyPath(points, opts){
+  const pts = (points || []).filter(p => Array.isArray(p) && p.length >= 2);
+  if(pts.length < 2) return pts.map(p => [p[0], p[1]]);
+  const out = [[pts[0][0], pts[0][1]]];
+  for(let i = 1; i < pts.length; i++) out.push(...greatCirclePath(pts[i - 1], pts[i], opts).slice(1));
+  return out;
+}
+
+function pathLengthKm(points){
+  let km = 0;
+  for(let i = 1; i < points.length; i++) km += haversineKm(points[i - 1], points[i]);
+  return km;
+}
+
+// Position `km` along the path -> { point, index } (index: segment the point lies on)
+function pointAlong(points, km){
+  if(!points.length) return null;
+  let left = Math.max(0, km);
+  for(let i = 1; i < points.length; i++){
+    const seg = haversineKm(points[i - 1], points[i]);
+    if(left <= seg) return { point: seg ? intermediatePoint(points[i - 1], points[i], left / seg) : points[i], index: i - 1 };
+    left -= seg;
+  }
+  return { point: points[points.length - 1], index: Math.max(0, points.length - 2) };
+}
+
+const km1 = (n) => Math.round(n * 10) / 10;
+
+// Densified path with the current position `fraction` (0..1) of the way along it
+function routeProgress(waypoints, fraction){
+  const polyline = densifyPath(waypoints);
+  if(!polyline.length) return null;
+  const distanceKm = pathLengthKm(polyline);
+  const f = Math.max(0, Math.min(1, Number(fraction) || 0));
+  const travelledKm = distanceKm * f;
+  const at = pointAlong(polyline, travelledKm);
+  return {
+    polyline,
+    distanceKm: km1(distanceKm),
+    travelledKm: km1(travelledKm),
+    remainingKm: km1(distanceKm - travelledKm),
+    current: { lat: at.point[0], lng: at.point[1] },
+  };
+}
+
+module.exports = { EARTH_KM, haversineKm, intermediatePoint, greatCirclePath, densifyPath, pathLengthKm, pointAlong, routeProgress };
@@ -0,0 +1,230 @@
+// Order lifecycle state machine
+// All status changes (admin, carrier, returns, imports) go through transition() so they
+// are validated against TRANSITIONS, recorded in the order's history and emitted as a
+// 'change' event ({ id, from, to, event, order }) for notifications and live streams.
+//
+// Orders with several packages keep a status per shipment (transitionShipment()); the
+// order status is then derived from them (deriveOrderStatus()), e.g. "Partially Delivered",
+// and a 'shipment' event ({ id, shipmentId, from, to, event, order }) is emitted as well.
+
+const { EventEmitter } = require('events');
+
+// Happy path, in order
+const FLOW = ['Processing', 'Packed', 'Shipped', 'In Transit', 'Out for Delivery', 'Delivered'];
+
+// Side statuses: Exception (carrier problem), Failed Attempt (delivery attempt failed),
+// RTO (return to origin in progress), Canceled and Returned (both terminal).
+const STATUSES = [...FLOW, 'Exception', 'Failed Attempt', 'RTO', 'Canceled', 'Returned'];
+
+// Order-level statuses that only ever come from deriveOrderStatus()
+const DERIVED_STATUSES = ['Partially Shipped', 'Partially Delivered'];
+
+// Allowed moves. Carriers often skip scans, so forward jumps along the flow are legal.
+const TRANSITIONS = {
+  'Processing': ['Packed', 'Shipped', 'Canceled', 'Exception'],
+  'Packed': ['Shipped', 'In Transit', 'Canceled', 'Exception'],
+  'Shipped': ['In Transit', 'Out for Delivery', 'Delivered', 'Exception', 'RTO'],
+  'In Transit': ['Out for Delivery', 'Delivered', 'Exception', 'RTO'],
+  'Out for Delivery': ['Delivered', 'Failed Attempt', 'Exception', 'RTO'],
+  'Failed Attempt': ['Out for Delivery', 'In Transit', 'Delivered', 'Exception', 'RTO'],
+  'Exception': ['Packed', 'Shipped', 'In Transit', 'Out for Delivery', 'Delivered', 'RTO', 'Canceled'],
+  'RTO': ['Returned', 'Exception'],
+  'Delivered': ['Returned'],
+  'Canceled': [],
+  'Returned': [],
+};
+
+function lifecycleError(message, status, code){
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+// Case-insensitive lookup so 'in transit' or 'rto' from clients resolve to the canonical name
+function normalizeStatus(input){
+  const s = String(input || '').trim().toLowerCase();
+  return STATUSES.find(x => x.toLowerCase() === s) || null;
+}
+
+function canTransition(from, to){
+  return !!(TRANSITIONS[from] && TRANSITIONS[from].includes(to));
+}
+
+function isTerminal(status){
+  return Array.isArray(TRANSITIONS[status]) && TRANSITIONS[status].length === 0;
+}
+
+// Recorded status history for an order. Orders stored before history was kept
+// get a single entry for their current status.
+function historyFor(rec){
+  if(!rec) return [];
+  if(Array.isArray(rec.history) && rec.history.length) return rec.history;
+  return [{ status: rec.status, from: null, ts: rec.createdAt || rec.updatedAt || new Date().toISOString(), location: null, actor: 'system', note: null }];
+}
+
+const PRE_SHIPMENT = ['Processing', 'Packed'];
+const PROBLEM = ['Exception', 'Failed Attempt', 'RTO'];
+
+// Order status for a set of shipment statuses. Canceled packages are ignored unless
+// every package is canceled; problems win over progress so they get attention.
+function deriveOrderStatus(shipments){
+  const all = (shipments || []).map(s => s.status);
+  if(!all.length) return null;
+  const active = all.filter(st => st !== 'Canceled');
+  if(!active.length) return 'Canceled';
+  if(active.every(st => st === active[0])) return active[0];
+  const done = active.filter(st => st === 'Delivered' || st === 'Returned');
+  if(done.length === active.length) return active.includes('Delivered') ? 'Delivered' : 'Returned';
+  if(done.length) return 'Partially Delivered';
+  if(active.some(st => PROBLEM.includes(st))) return 'Exception';
+  if(active.some(st => PRE_SHIPMENT.includes(st))) return 'Partially Shipped';
+  // Everything is moving: report the package that is furthest behind
+  return FLOW[Math.min(...active.map(st => FLOW.indexOf(st)).filter(i => i >= 0))] || active[0];
+}
+
+// locate(order, status, shipment?) -> where the package is for that status (e.g. a hub name);
+// used for history events whose caller did not say
+function createLifecycle(orders, { locate } = {}){
+  const events = new EventEmitter();
+  events.setMaxListeners(0); // one listener per open live stream
+
+  // Move an order to `to`. meta: { actor, location?, note?, force? }
+  // force skips validation (ops corrections) but is still recorded and emitted.
+  function transition(id, to, meta = {}){
+    const rec = orders.get(id);
+    if(!rec) throw lifecycleError('Order not found', 404, 'NOT_FOUND');
+    const target = normalizeStatus(to);
+    if(!target) throw lifecycleError(`Unknown status "${to}". Expected one of: ${STATUSES.join(', ')}`, 400, 'UNKNOWN_STATUS');
+    if(Array.isArray(rec.shipments) && rec.shipments.length) return cascade(rec, target, meta);
+    const from = rec.status;
+    if(from === target) return { order: rec, from, to: target, changed: false };
+    if(!meta.force && !canTransition(from, target)){
+      const allowed = TRANSITIONS[from] || [];
+      throw lifecycleError(
+        `Illegal transition ${from} → ${target}` + (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ` (${from} is final)`),
+        409, 'ILLEGAL_TRANSITION'
+      );
+    }
+    return commitOrderStatus(id, from, target, meta);
+  }
+
+  function locationFor(order, status, shipment){
+    if(!locate) return null;
+    try{ return locate(order, status, shipment) || null; }catch{ return null; }
+  }
+
+  // Record an order-level status change (already validated) and emit it
+  function commitOrderStatus(id, from, to, meta, mutate){
+    const ts = new Date().toISOString();
+    const event = { status: to, from, ts, location: meta.location || locationFor(orders.get(id), to) || null, actor: meta.actor || 'system', note: meta.note || null };
+    const order = orders.update(id, (draft) => {
+      if(mutate) mutate(draft, ts);
+      if(from !== to){
+        draft.history = historyFor(draft).slice();
+        draft.history.push(event);
+        draft.status = to;
+      }
+      draft.updatedAt = ts;
+    });
+    if(from === to) return { order, from, to, changed: false };
+    const change = { id: String(id), from, to, event, order };
+    events.emit('change', change);
+    return { ...change, changed: true };
+  }
+
+  // Move one package of a multi-shipment order; the order status follows deriveOrderStatus()
+  function transitionShipment(id, shipmentId, to, meta = {}){
+    const rec = orders.get(id);
+    if(!rec) throw lifecycleError('Order not found', 404, 'NOT_FOUND');
+    const list = Array.isArray(rec.shipments) ? rec.shipments : [];
+    const sh = list.find(s => s.id === String(shipmentId));
+    if(!sh) throw lifecycleError(`Shipment ${shipmentId} not found on order ${id}`, 404, 'NOT_FOUND');
+    const target = normalizeStatus(to);
+    if(!target) throw lifecycleError(`Unknown status "${to}". Expected one of: ${STATUSES.join(', ')}`, 400, 'UNKNOWN_STATUS');
+    const from = sh.status;
+    if(from === target) return { order: rec, shipmentId: sh.id, from, to: target, changed: false };
+    if(!meta.force && !canTransition(from, target)){
+      const allowed = TRANSITIONS[from] || [];
+      throw lifecycleError(
+        `Illegal transition for shipment ${sh.id}: ${from} → ${target}` + (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ` (${from} is final)`),
+        409, 'ILLEGAL_TRANSITION'
+      );
+    }
+    const shipEvent = { status: target, from, ts: new Date().toISOString(), location: meta.location || locationFor(rec, target, sh), actor: meta.actor || 'system', note: meta.note || null };
+    const nextShipments = list.map(s => s.id === sh.id ? { ...s, status: target } : s);
+    const derived = deriveOrderStatus(nextShipments);
+    const result = commitOrderStatus(id, rec.status, derived, { ...meta, note: meta.note || `Shipment ${sh.id}: ${target}` }, (draft, ts) => {
+      const d = draft.shipments.find(s => s.id === sh.id);
+      d.history = Array.isArray(d.history) ? d.history : [];
+      d.history.push({ ...shipEvent, ts });
+      d.status = target;
+      d.updatedAt = ts;
+    });
+    events.emit('shipment', { id: String(id), shipmentId: sh.id, from, to: target, event: shipEvent, order: result.order });
+    return { ...result, changed: true, orderChanged: result.changed, shipmentId: sh.id, shipmentFrom: from, shipmentTo: target };
+  }
+
+  // Order-level change on a multi-shipment order: apply it to every package that can
+  // legally make the move (e.g. cancel everything not yet shipped)
+  function cascade(rec, target, meta){
+    if(DERIVED_STATUSES.includes(target)) throw lifecycleError(`${target} is derived from shipments`, 400, 'UNKNOWN_STATUS');
+    const movable = rec.shipments.filter(s => s.status !== target && (meta.force || canTransition(s.status, target)));
+    if(!movable.length){
+      throw lifecycleError(`No shipment of order ${rec.id} can move to ${target}`, 409, 'ILLEGAL_TRANSITION');
+    }
+    let last = null;
+    for(const s of movable) last = transitionShipment(rec.id, s.id, target, meta);
+    return last;
+  }
+
+  // Next step on the happy path; side and final statuses have to be set explicitly.
+  // Multi-shipment orders advance every package that is still on the flow.
+  function advance(id, meta = {}){
+    const rec = orders.get(id);
+    if(!rec) throw lifecycleError('Order not found', 404, 'NOT_FOUND');
+    if(Array.isArray(rec.shipments) && rec.shipments.length){
+      let last = { order: rec, from: rec.status, to: rec.status, changed: false };
+      for(const s of rec.shipments){
+        const i = FLOW.indexOf(s.status);
+        if(i >= 0 && i < FLOW.length - 1) last = transitionShipment(id, s.id, FLOW[i + 1], meta);
+      }
+      return last;
+    }
+    const idx = FLOW.indexOf(rec.status);
+    if(idx === FLOW.length - 1 || isTerminal(rec.status)) return { order: rec, from: rec.status, to: rec.status, changed: false };
+    if(idx < 0) throw lifecycleError(`Cannot advance from ${rec.status}; set the next status explicitly`, 409, 'ILLEGAL_TRANSITION');
+    return transition(id, FLOW[idx + 1], meta);
+  }
+
+  // Recompute the order status after shipments were added or removed
+  function syncDerivedStatus(id, meta = {}){
+    const rec = orders.get(id);
+    if(!rec) throw lifecycleError('Order not found', 404, 'NOT_FOUND');
+    const derived = deriveOrderStatus(rec.shipments);
+    if(!derived) return { order: rec, from: rec.status, to: rec.status, changed: false };
+    return commitOrderStatus(id, rec.status, derived, meta);
+  }
+
+  return {
+    transition,
+    transitionShipment,
+    advance,
+    syncDerivedStatus,
+    on: (name, fn) => events.on(name, fn),
+    off: (name, fn) => events.off(name, fn),
+  };
+}
+
+module.exports = {
+  FLOW,
+  STATUSES,
+  DERIVED_STATUSES,
+  TRANSITIONS,
+  deriveOrderStatus,
+  normalizeStatus,
+  canTransition,
+  isTerminal,
+  historyFor,
+  createLifecycle,
+};
@@ -0,0 +1,16 @@
+// Amazon (amazon.in / amazon.com) shipped, arriving and out-for-delivery emails
+// Order ids look like 403-1234567-1234567; Amazon Logistics tracking ids like TBA312345678901.
+
+module.exports = {
+  id: 'amazon',
+  name: 'Amazon',
+  from: /@(?:[\w-]+\.)*amazon\.(?:in|com|co\.uk|de|ae)\b/i,
+  signature: /\bamazon\.(?:in|com)\b/i,
+  subject: /\b(?:shipped|dispatched|arriving|out for delivery)\b/i,
+  carrier: 'amazon',
+  orderId: [/\border\s*(?:#|id|number)?\s*:?\s*(\d{3}-\d{7}-\d{7})\b/i, /\b(\d{3}-\d{7}-\d{7})\b/],
+  tracking: [/\btracking\s*(?:id|number)\s*:?\s*([A-Z0-9]{8,34})\b/i, /\b(TBA\d{12})\b/],
+  items: ['Your package contains', 'Shipped items'],
+  delivery: ['Arriving', 'Delivery estimate'],
+  address: ['Your package will be delivered to', 'Delivering to'],
+};
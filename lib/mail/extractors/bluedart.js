@@ -0,0 +1,17 @@
+// Blue Dart shipment notifications
+// Waybill numbers are 11 digits with a mod-7 check digit.
+
+module.exports = {
+  id: 'bluedart',
+  name: 'Blue Dart',
+  from: /@(?:[\w-]+\.)*bluedart\.com\b/i,
+  signature: /\bbluedart\.com\b/i,
+  subject: /\b(?:shipment|waybill|dispatched|out for delivery)\b/i,
+  carrier: 'bluedart',
+  carrierSender: true,
+  orderId: [],
+  tracking: [/\b(?:waybill|awb)\s*(?:no\.?|number)?\s*:?\s*(\d{11})\b/i],
+  items: ['Shipment contents'],
+  delivery: ['Expected date of delivery', 'Expected delivery date'],
+  address: ['Consignee', 'Destination'],
+};
@@ -0,0 +1,17 @@
+// Delhivery shipment notifications sent on behalf of the seller
+// Waybills (AWB) are 13-14 digits; the merchant's order id, when present, is labelled "Order ID".
+
+module.exports = {
+  id: 'delhivery',
+  name: 'Delhivery',
+  from: /@(?:[\w-]+\.)*delhivery\.com\b/i,
+  signature: /\bdelhivery\.com\b/i,
+  subject: /\b(?:shipment|waybill|out for delivery|delivered)\b/i,
+  carrier: 'delhivery',
+  carrierSender: true,
+  orderId: [],
+  tracking: [/\b(?:awb|waybill|tracking)\s*(?:id|no\.?|number)?\s*:?\s*(\d{13,14})\b/i],
+  items: ['Product', 'Shipment contents'],
+  delivery: ['Delivery expected by', 'Expected delivery date'],
+  address: ['Consignee address'],
+};
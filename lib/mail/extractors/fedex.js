@@ -0,0 +1,18 @@
+// FedEx shipment notifications
+// Tracking ids are 12 or 15 digits; dates are US style (10/22/2026).
+
+module.exports = {
+  id: 'fedex',
+  name: 'FedEx',
+  from: /@(?:[\w-]+\.)*fedex\.com\b/i,
+  signature: /\bfedex\.com\b/i,
+  subject: /\b(?:shipment|scheduled|on its way|out for delivery|delivered)\b/i,
+  carrier: 'fedex',
+  carrierSender: true,
+  orderId: [],
+  tracking: [/\btracking\s*(?:id|number|#)\s*:?\s*(\d{12}|\d{15})\b/i],
+  items: ['Package contents'],
+  delivery: ['Scheduled delivery', 'Estimated delivery', 'Delivery date'],
+  dateOrder: 'mdy',
+  address: ['Ship to', 'Delivery location'],
+};
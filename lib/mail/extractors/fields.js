@@ -0,0 +1,133 @@
+// Field helpers shared by the sender extractors: labelled values, sections, dates, addresses
+// Text is what readEmail() produces (one visual line per line, blank lines between blocks).
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12 };
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DAY = 24 * 3600 * 1000;
+
+const esc = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const ends = (label) => (/\w$/.test(label) ? '(?=\\W|$)' : ''); // word labels end at a word boundary; "Order #" runs straight into the number
+const lines = (text) => String(text || '').split('\n').map(l => l.trim());
+
+// "Label: value" on one line, or the label alone with the value on the next line
+function labelled(text, labels){
+  const all = lines(text);
+  for(const label of labels){
+    const re = new RegExp(`^(?:.*?\\b)?${esc(label)}${ends(label)}\\s*(?:[:#\\-–]|is|no\\.?)?\\s*(.*)$`, 'i');
+    for(let i = 0; i < all.length; i++){
+      const m = all[i].match(re);
+      if(!m) continue;
+      const value = m[1].trim() || (all[i + 1] || '').trim();
+      if(value) return value;
+    }
+  }
+  return null;
+}
+
+// Lines after a heading ("Delivery address", "Items in this shipment") up to the next blank line
+function section(text, labels, { max = 6 } = {}){
+  const all = lines(text);
+  for(const label of labels){
+    const re = new RegExp(`^${esc(label)}${ends(label)}\\s*:?\\s*(.*)$`, 'i');
+    const i = all.findIndex(l => re.test(l));
+    if(i < 0) continue;
+    const out = [];
+    const rest = all[i].match(re)[1].trim();
+    if(rest) out.push(rest);
+    for(let j = i + 1; j < all.length && out.length < max; j++){
+      if(!all[j]){ if(out.length) break; continue; }
+      out.push(all[j]);
+    }
+    if(out.length) return out;
+  }
+  return [];
+}
+
+// Lines that start another labelled block (or a phone number) end an address
+const STOP = /^(order|tracking|awb|waybill|shipment|item|qty|quantity|price|total|amount|payment|carrier|courier|phone|mobile|tel|delivery (?:by|date|partner)|expected|estimated|arriving|scheduled|track|manage|need help|contact|thank)/i;
+
+const POSTAL = /\b[1-9]\d{2}\s?\d{3}\b|\b\d{5}(?:-\d{4})?\b/;
+
+function address(text, labels){
+  const block = [];
+  for(const l of section(text, labels, { max: 6 })){
+    if(STOP.test(l)) break;
+    block.push(l.replace(/\s*,\s*$/, ''));
+    if(POSTAL.test(l)) break; // the pincode / ZIP line closes the address
+  }
+  if(!block.length) return null;
+  const value = block.join(', ');
+  const postal = POSTAL.test(value);
+  return { value, confidence: postal ? 0.85 : 0.6 };
+}
+
+function ymd(y, m, d){
+  if(!(m >= 1 && m <= 12 && d >= 1 && d <= 31)) return null;
+  const t = Date.UTC(y, m - 1, d);
+  const dt = new Date(t);
+  return dt.getUTCDate() === d ? dt.toISOString().slice(0, 10) : null;
+}
+
+// Without a year the date is the next one on or after (reference - 30 days)
+function withYear(m, d, ref){
+  const base = new Date(ref.getTime() - 30 * DAY);
+  for(const y of [base.getUTCFullYear(), base.getUTCFullYear() + 1]){
+    const iso = ymd(y, m, d);
+    if(iso && Date.parse(iso) >= Date.UTC(base.getUTCFullYear(), base.getUTCMonth(), base.getUTCDate())) return iso;
+  }
+  return null;
+}
+
+// Date written in a phrase -> 'YYYY-MM-DD' or null
+// order: 'dmy' (India, default) or 'mdy' (US carriers) for numeric dates like 10/22/2026
+function parseDate(s, { ref = new Date(), order = 'dmy' } = {}){
+  const text = String(s || '').toLowerCase();
+  if(/\btoday\b/.test(text)) return new Date(ref).toISOString().slice(0, 10);
+  if(/\btomorrow\b/.test(text)) return new Date(ref.getTime() + DAY).toISOString().slice(0, 10);
+  let m = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if(m) return ymd(+m[1], +m[2], +m[3]);
+  m = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?[\\s\\-]+${MONTH}\\.?,?(?:[\\s\\-]+(\\d{4}))?\\b`));
+  if(m){
+    const mon = MONTHS[m[2].slice(0, 4) === 'sept' ? 'sept' : m[2].slice(0, 3)];
+    return m[3] ? ymd(+m[3], mon, +m[1]) : withYear(mon, +m[1], ref);
+  }
+  m = text.match(new RegExp(`\\b${MONTH}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`));
+  if(m){
+    const mon = MONTHS[m[1].slice(0, 4) === 'sept' ? 'sept' : m[1].slice(0, 3)];
+    return m[3] ? ymd(+m[3], mon, +m[2]) : withYear(mon, +m[2], ref);
+  }
+  m = text.match(/\b(\d{1,2})[/.](\d{1,2})[/.](\d{4})\b/);
+  if(m) return order === 'mdy' ? ymd(+m[3], +m[1], +m[2]) : ymd(+m[3], +m[2], +m[1]);
+  return null;
+}
+
+// Item lines: drop prices, quantities and bare numbers, keep the names
+function itemNames(list){
+  const out = [];
+  for(const raw of list){
+    const name = raw
+      .replace(/^(?:item|product)\s*(?:name)?\s*:\s*/i, '')
+      .replace(/\s*[|·•]\s*/g, ' ')
+      .replace(/\b(?:qty|quantity)\s*:?\s*\d+\b/gi, '')
+      .replace(/(?:₹|rs\.?|inr|\$|€|£)\s*[\d,]+(?:\.\d{1,2})?/gi, '')
+      .replace(/\b(?:size|colou?r|seller|sold by)\s*:.*$/i, '')
+      .replace(/\s+x\s*\d+\s*$/i, '')
+      .replace(/\s{2,}/g, ' ')
+      .replace(/[\s,;:\-–]+$/, '')
+      .trim();
+    if(name.length < 3 || !/[a-z]{3}/i.test(name) || STOP.test(name)) continue;
+    if(!out.includes(name)) out.push(name);
+  }
+  return out;
+}
+
+// Numbers that are never tracking numbers: Indian mobile numbers and pincodes
+function noiseNumbers(text){
+  const src = String(text || '');
+  const out = new Set();
+  (src.match(/(?:\+?91[\s-]?)?\b[6-9]\d{4}[\s-]?\d{5}\b/g) || []).forEach(p => out.add(p.replace(/\D/g, '').slice(-10)));
+  (src.match(/\b[1-9]\d{2}\s?\d{3}\b/g) || []).forEach(p => out.add(p.replace(/\s/g, '')));
+  return out;
+}
+
+module.exports = { labelled, section, address, parseDate, itemNames, noiseNumbers };
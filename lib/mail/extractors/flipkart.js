@@ -0,0 +1,16 @@
+// Flipkart shipped / out-for-delivery emails
+// Order ids are OD followed by 15-21 digits; most parcels travel with Ekart (FMPP0123456789).
+
+module.exports = {
+  id: 'flipkart',
+  name: 'Flipkart',
+  from: /@(?:[\w-]+\.)*flipkart\.com\b/i,
+  signature: /\bflipkart\b/i,
+  subject: /\b(?:shipped|dispatched|out for delivery)\b/i,
+  carrier: 'ekart',
+  orderId: [/\b(OD\d{15,21})\b/],
+  tracking: [/\b(?:tracking\s*(?:id|number)|awb\s*(?:no\.?|number)?)\s*:?\s*([A-Z0-9]{8,34})\b/i, /\b(FMP[A-Z]\d{6,12})\b/],
+  items: ['Item(s) shipped', 'Shipped items'],
+  delivery: ['Delivery by', 'will be delivered by'],
+  address: ['Delivery address'],
+};
@@ -0,0 +1,181 @@
+// Shipping email extractors: which merchant or carrier sent an email, and what it says
+// Each sender module (amazon.js, flipkart.js, ...) describes its emails: sender domains, a body
+// signature for pasted text without headers, order id / tracking number patterns and the headings
+// its items, delivery date and address sit under. A generic extractor covers everyone else with
+// the usual labels ("Order ID:", "AWB No:").
+//
+// extract(mail) takes readEmail() output and returns
+// { extractor, merchant, orderId, trackingNumber, carrier, carrierName, items[], expectedDelivery,
+//   deliveryAddress, confidence, fields: { <field>: confidence } }
+// candidates(mail, extraction) ranks tracking numbers for lookup: the extracted one first, minus
+// order ids, phone numbers and pincodes that only look like tracking numbers.
+
+const { CARRIERS, normalizeTracking, carrierName, trackingUrl, recognizeTracking, findTrackingNumbers } = require('../../carriers/recognize');
+const { labelled, section, address, parseDate, itemNames, noiseNumbers } = require('./fields');
+
+const DEFAULT_EXTRACTORS = ['amazon', 'flipkart', 'myntra', 'meesho', 'delhivery', 'bluedart', 'ups', 'fedex'].map(id => require(`./${id}`));
+
+// Carriers named in the text ("Shipped with Blue Dart", "Courier partner: Ekart Logistics")
+const CARRIER_NAMES = [
+  ['amazon', /\bamazon (?:shipping|logistics|transportation|delivery)\b/i],
+  ['ekart', /\be-?kart\b/i],
+  ['bluedart', /\bblue ?dart\b/i],
+  ['delhivery', /\bdelhivery\b/i],
+  ['dtdc', /\bdtdc\b/i],
+  ['xpressbees', /\bxpress ?bees\b/i],
+  ['shadowfax', /\bshadowfax\b/i],
+  ['ecom-express', /\becom ?express\b/i],
+  ['valmo', /\bvalmo\b/i],
+  ['india-post', /\b(?:india post|speed post)\b/i],
+  ['ups', /\bups\b/i],
+  ['fedex', /\bfed ?ex\b/i],
+  ['dhl', /\bdhl\b/i],
+];
+const OTHER_CARRIERS = { xpressbees: 'Xpressbees', shadowfax: 'Shadowfax', 'ecom-express': 'Ecom Express', valmo: 'Valmo' };
+const CARRIER_LABELS = ['shipped with', 'shipped via', 'shipped by', 'courier partner', 'delivery partner', 'logistics partner', 'courier', 'carrier'];
+
+const ORDER_LABELS = ['order id', 'order number', 'order no', 'order #', 'sub order id', 'reference number', 'reference no', 'reference', 'purchase order'];
+const TRACKING_LABELS = ['tracking number', 'tracking id', 'tracking no', 'awb number', 'awb no', 'awb', 'waybill number', 'waybill no', 'waybill', 'consignment number', 'docket number'];
+const ITEM_SECTIONS = ['Items in this shipment', 'Items shipped', 'Item details', 'Your items', 'Order summary', 'Contents'];
+const DELIVERY_LABELS = ['Expected delivery', 'Estimated delivery', 'Delivery by', 'Arriving', 'Scheduled delivery'];
+const ADDRESS_LABELS = ['Delivery address', 'Shipping address', 'Delivering to', 'Ship to', 'Deliver to'];
+
+// Weight of each field in the overall confidence
+const WEIGHTS = { trackingNumber: 3, orderId: 2, carrier: 1, items: 1, expectedDelivery: 1, deliveryAddress: 1 };
+const round2 = (n) => Math.round(n * 100) / 100;
+const nameOf = (slug) => (CARRIERS[slug] ? carrierName(slug) : OTHER_CARRIERS[slug] || slug);
+
+// Every capture of every pattern, in pattern order
+function captures(text, patterns){
+  const out = [];
+  for(const re of patterns || []){
+    const g = new RegExp(re.source, re.flags.includes('g') ? re.flags : `${re.flags}g`);
+    for(const m of String(text || '').matchAll(g)) out.push((m[1] || m[0]).trim());
+  }
+  return out;
+}
+
+const codeIn = (value) => (String(value || '').match(/\b[A-Z0-9][A-Z0-9_-]{3,34}\b/gi) || []).find(t => /\d{3}/.test(t)) || null;
+
+function carrierFromText(text){
+  const hit = CARRIER_NAMES.find(([, re]) => re.test(text));
+  return hit ? hit[0] : null;
+}
+
+// How sure we are that `spec` wrote this email (0..1)
+function senderScore(spec, mail){
+  let score = 0;
+  if(mail.from && spec.from.test(mail.from)) score += 0.6;
+  // Pasted text has no From: the body signature carries more weight there
+  if(spec.signature && spec.signature.test(mail.text)) score += mail.from ? 0.15 : 0.25;
+  if(mail.subject && spec.subject && spec.subject.test(mail.subject)) score += 0.15;
+  return Math.min(1, score);
+}
+
+function run(spec, mail, score){
+  const text = mail.text || '';
+  const ref = mail.date && !Number.isNaN(Date.parse(mail.date)) ? new Date(mail.date) : new Date();
+  const fields = {};
+  const noise = noiseNumbers(text);
+
+  // Order id: the sender's own format first, then any "Order ID:" style label
+  let orderId = captures(text, spec.orderId).find(v => /\d/.test(v)) || null;
+  if(orderId) fields.orderId = 0.9;
+  else if((orderId = codeIn(labelled(text, ORDER_LABELS)))) fields.orderId = 0.6;
+  const orderKey = orderId ? normalizeTracking(orderId) : null;
+  const notOrder = (code) => !orderKey || (code !== orderKey && !orderKey.replace(/\D/g, '').includes(code));
+
+  // Carrier: named in the text, else the sending carrier, else what the tracking number looks like
+  const named = spec.carrierSender ? null : carrierFromText(labelled(text, CARRIER_LABELS) || '');
+  let carrier = spec.carrierSender ? spec.carrier : named;
+  if(carrier) fields.carrier = spec.carrierSender ? 0.95 : 0.85;
+
+  // Tracking number: sender patterns, then labels, then anything the recognizer vouches for
+  let trackingNumber = null;
+  const labelledCodes = [...captures(text, spec.tracking), codeIn(labelled(text, TRACKING_LABELS))]
+    .filter(Boolean).map(normalizeTracking).filter(c => /\d{4}/.test(c) && notOrder(c) && !noise.has(c));
+  if(labelledCodes.length){
+    trackingNumber = labelledCodes[0];
+    const matches = recognizeTracking(trackingNumber).filter(m => m.checksum !== 'invalid');
+    const agrees = matches.find(m => m.carrier === (carrier || spec.carrier));
+    fields.trackingNumber = agrees ? 0.95 : matches.length ? 0.85 : 0.75;
+    if(!carrier && (agrees || matches[0])){
+      carrier = (agrees || matches[0]).carrier;
+      fields.carrier = round2((agrees || matches[0]).confidence * 0.9);
+    }
+  }else{
+    const best = findTrackingNumbers(text).find(c => notOrder(c.code) && !noise.has(c.code));
+    if(best){
+      trackingNumber = best.code;
+      fields.trackingNumber = round2(best.matches[0].confidence * 0.7);
+      if(!carrier){ carrier = best.matches[0].carrier; fields.carrier = round2(best.matches[0].confidence * 0.6); }
+    }
+  }
+  if(!carrier && spec.carrier){ carrier = spec.carrier; fields.carrier = 0.5; }
+
+  const items = itemNames([
+    ...section(text, [...(spec.items || []), ...ITEM_SECTIONS]),
+    ...text.split('\n').filter(l => /^(?:item|product)\s*(?:name)?\s*:/i.test(l.trim())),
+  ]);
+  if(items.length) fields.items = 0.8;
+
+  const deliveryText = labelled(text, [...(spec.delivery || []), ...DELIVERY_LABELS]);
+  const expectedDelivery = deliveryText ? parseDate(deliveryText, { ref, order: spec.dateOrder }) : null;
+  if(expectedDelivery) fields.expectedDelivery = 0.85;
+
+  const addr = address(text, [...(spec.address || []), ...ADDRESS_LABELS]);
+  if(addr) fields.deliveryAddress = addr.confidence;
+
+  const total = Object.values(WEIGHTS).reduce((s, w) => s + w, 0);
+  const found = Object.entries(WEIGHTS).reduce((s, [k, w]) => s + (fields[k] || 0) * w, 0) / total;
+  return {
+    extractor: spec.id,
+    merchant: spec.name,
+    orderId,
+    trackingNumber,
+    carrier,
+    carrierName: carrier ? nameOf(carrier) : null,
+    items,
+    expectedDelivery,
+    deliveryAddress: addr ? addr.value : null,
+    confidence: round2(0.3 * score + 0.7 * found),
+    fields,
+  };
+}
+
+const GENERIC = { id: 'generic', name: null, from: /$^/, orderId: [], tracking: [] };
+
+function createEmailExtractor({ extractors = DEFAULT_EXTRACTORS, minScore = 0.25 } = {}){
+  const list = extractors.filter(e => e && e.id && e.from);
+
+  // Best-scoring sender wins; ties go to the earlier extractor (merchants before carriers)
+  function extract(mail){
+    let best = null;
+    for(const spec of list){
+      const score = senderScore(spec, mail);
+      if(score >= minScore && (!best || score > best.score)) best = { spec, score };
+    }
+    return best ? run(best.spec, mail, best.score) : run(GENERIC, mail, 0);
+  }
+
+  // [{ code, matches[] }] like findTrackingNumbers, extracted number first
+  function candidates(mail, extraction){
+    const text = mail.text || '';
+    const noise = noiseNumbers(text);
+    const orderDigits = extraction && extraction.orderId ? normalizeTracking(extraction.orderId).replace(/\D/g, '') : '';
+    const skip = (code) => noise.has(code) || (orderDigits && orderDigits.includes(code)) || (extraction && normalizeTracking(extraction.orderId) === code);
+    const list = findTrackingNumbers(text).filter(c => !skip(c.code));
+    const code = extraction && extraction.trackingNumber;
+    if(!code) return list;
+    const matches = recognizeTracking(code).filter(m => m.checksum !== 'invalid');
+    const carrier = extraction.carrier;
+    const own = matches.find(m => m.carrier === carrier);
+    const ranked = own ? [own, ...matches.filter(m => m !== own)]
+      : [{ carrier: carrier || null, name: carrier ? nameOf(carrier) : 'Unknown carrier', confidence: extraction.fields.trackingNumber, checksum: 'none', trackingNumber: code, url: carrier ? trackingUrl(carrier, code) : null }, ...matches];
+    return [{ code, matches: ranked }, ...list.filter(c => c.code !== code)];
+  }
+
+  return { extract, candidates, extractors: () => list.map(e => ({ id: e.id, name: e.name })) };
+}
+
+module.exports = { DEFAULT_EXTRACTORS, createEmailExtractor };
@@ -0,0 +1,16 @@
+// Meesho shipped emails
+// Meesho numbers each item as a sub order (123456789012345678_1); couriers vary (Valmo, Delhivery, Shadowfax ...).
+
+module.exports = {
+  id: 'meesho',
+  name: 'Meesho',
+  from: /@(?:[\w-]+\.)*meesho\.com\b/i,
+  signature: /\bmeesho\b/i,
+  subject: /\b(?:shipped|dispatched|out for delivery)\b/i,
+  carrier: null,
+  orderId: [/\bsub[\s-]?order\s*(?:id|no\.?)?\s*:?\s*(\d{10,20}_\d+)\b/i, /\border\s*(?:id|no\.?)\s*:?\s*(\d{10,20}(?:_\d+)?)\b/i],
+  tracking: [/\b(?:awb|tracking)\s*(?:id|no\.?|number)?\s*:?\s*([A-Z0-9]{8,34})\b/i],
+  items: ['Product details', 'Products'],
+  delivery: ['Expected delivery by', 'Delivery by'],
+  address: ['Delivery address', 'Deliver to'],
+};
@@ -0,0 +1,16 @@
+// Myntra shipped emails
+// Myntra hands parcels to several couriers, so the carrier comes from the "Courier partner" line.
+
+module.exports = {
+  id: 'myntra',
+  name: 'Myntra',
+  from: /@(?:[\w-]+\.)*myntra\.com\b/i,
+  signature: /\bmyntra\b/i,
+  subject: /\b(?:shipped|dispatched|on (?:its|the) way|out for delivery)\b/i,
+  carrier: null,
+  orderId: [/\border\s*(?:no\.?|number|id)?\s*:?\s*(\d{7}-\d{7}-\d{7})\b/i, /\border\s*(?:no\.?|number|id)\s*:?\s*(\d{10,20})\b/i],
+  tracking: [/\b(?:tracking|awb|shipment)\s*(?:id|no\.?|number)\s*:?\s*([A-Z0-9]{8,34})\b/i],
+  items: ['Items shipped', 'Item details'],
+  delivery: ['Delivery by', 'Arriving by'],
+  address: ['Delivery address', 'Shipping to'],
+};
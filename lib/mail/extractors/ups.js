@@ -0,0 +1,18 @@
+// UPS "Your package is on the way" / "UPS Update" emails
+// Tracking numbers are 1Z + 16 characters, often printed in groups; dates are US style (10/22/2026).
+
+module.exports = {
+  id: 'ups',
+  name: 'UPS',
+  from: /@(?:[\w-]+\.)*ups\.com\b/i,
+  signature: /\bups\.com\b/i,
+  subject: /\b(?:ups update|on the way|scheduled|out for delivery|delivered)\b/i,
+  carrier: 'ups',
+  carrierSender: true,
+  orderId: [],
+  tracking: [/\b(1Z(?: ?[0-9A-Z]){16})\b/i],
+  items: [],
+  delivery: ['Scheduled Delivery', 'Estimated Delivery', 'Delivery Date'],
+  dateOrder: 'mdy',
+  address: ['Ship To'],
+};
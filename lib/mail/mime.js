@@ -0,0 +1,273 @@
+// MIME (RFC 2045-2047) parsing for shipping emails: .eml files, Gmail `format=raw` messages and pastes
+// Handles nested multipart bodies (alternative/mixed/related, forwarded message/rfc822),
+// quoted-printable and base64 transfer encodings, charsets (anything TextDecoder knows, e.g.
+// utf-8, iso-8859-1, windows-1252, shift_jis), encoded-word headers (=?utf-8?B?...?=) and HTML
+// bodies, which become plain text with entities decoded and zero-width characters removed.
+// Bytes are carried as latin1 strings (one char per byte) until a part's charset is known.
+//
+// readEmail(raw) -> { subject, from, to, date, messageId, text, html, attachments[], mime }
+// `text` is what matchers should scan: subject, plain-text parts and the text of HTML parts.
+
+const MAX_DEPTH = 10;
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ensp: ' ', emsp: ' ', thinsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  laquo: '«', raquo: '»', bull: '•', middot: '·', copy: '©', reg: '®', trade: '™', deg: '°', times: '×', divide: '÷',
+  euro: '€', pound: '£', yen: '¥', cent: '¢', sect: '§', para: '¶', rarr: '→', larr: '←', zwnj: '', zwj: '', shy: '',
+};
+
+function decodeEntities(s){
+  return String(s || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (m, e) => {
+    if(e[0] === '#'){
+      const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      try{ return String.fromCodePoint(code); }catch{ return m; }
+    }
+    const named = ENTITIES[e.toLowerCase()];
+    return named !== undefined ? named : m;
+  });
+}
+
+// HTML -> readable text: source whitespace collapses, paragraphs and tables stand between blank lines,
+// other blocks end with a line break, and tracking links keep their URL (it often carries the number).
+// A single left-to-right scan (indexOf, no backtracking regexes), so hostile markup such as
+// thousands of unclosed tags stays linear.
+const SKIP_TAGS = new Set(['script', 'style', 'head', 'title']);
+const PARAGRAPH_TAGS = new Set(['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'table', 'ul', 'ol', 'blockquote']);
+const BLOCK_TAGS = new Set(['div', 'tr', 'li', 'section', 'article', 'header', 'footer']);
+
+function htmlToText(html){
+  const src = String(html || '');
+  const lower = src.toLowerCase();
+  const out = [];
+  let href = null;
+  let i = 0;
+  while(i < src.length){
+    const lt = src.indexOf('<', i);
+    if(lt < 0){ out.push(src.slice(i).replace(/\s+/g, ' ')); break; }
+    out.push(src.slice(i, lt).replace(/\s+/g, ' '));
+    if(src.startsWith('<!--', lt)){
+      const end = src.indexOf('-->', lt + 4);
+      out.push(' ');
+      i = end < 0 ? src.length : end + 3;
+      continue;
+    }
+    if(!/[A-Za-z/!?]/.test(src[lt + 1] || '')){ out.push('<'); i = lt + 1; continue; }
+    const gt = src.indexOf('>', lt);
+    if(gt < 0) break; // unclosed tag at the end
+    const tag = src.slice(lt + 1, gt);
+    const m = tag.match(/^(\/?)([a-z0-9]+)/i);
+    const name = m ? m[2].toLowerCase() : '';
+    const closing = !!(m && m[1]);
+    i = gt + 1;
+    if(!closing && SKIP_TAGS.has(name)){
+      const end = lower.indexOf(`</${name}`, i);
+      const endGt = end < 0 ? -1 : src.indexOf('>', end);
+      out.push(' ');
+      i = endGt < 0 ? src.length : endGt + 1;
+    }else if(name === 'a'){
+      if(closing){
+        out.push(href ? ` (${href}) ` : ' ');
+        href = null;
+      }else{
+        const h = tag.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+        const url = h ? (h[1] || h[2] || h[3]) : '';
+        href = /track/i.test(url) ? url : null;
+        out.push(' ');
+      }
+    }else if(name === 'br' || name === 'hr') out.push('\n');
+    else if(PARAGRAPH_TAGS.has(name)) out.push('\n\n');
+    else if(closing && BLOCK_TAGS.has(name)) out.push('\n');
+    else out.push(' ');
+  }
+  return tidyText(decodeEntities(out.join('')));
+}
+
+// Zero-width characters and soft hyphens split codes apart in marketing emails
+function tidyText(s){
+  return String(s || '')
+    .replace(/[\u200B-\u200D\u2060\uFEFF\u00AD]/g, '')
+    .replace(/[\u00A0\u2002\u2003\u2009]/g, ' ')
+    .split(/\r?\n/)
+    .map(l => l.replace(/[ \t]+/g, ' ').trim())
+    .filter((l, i, all) => l || (i > 0 && all[i - 1]))
+    .join('\n')
+    .trim();
+}
+
+function decodeCharset(bin, charset){
+  const bytes = Buffer.from(bin, 'latin1');
+  const label = String(charset || 'utf-8').trim().toLowerCase();
+  try{ return new TextDecoder(label).decode(bytes); }
+  catch{ return bytes.toString('utf8'); }
+}
+
+function decodeQuotedPrintable(s){
+  return s.replace(/=\r?\n/g, '').replace(/=([0-9A-Fa-f]{2})/g, (m, h) => String.fromCharCode(parseInt(h, 16)));
+}
+
+function decodeBase64(s){
+  return Buffer.from(s.replace(/[^A-Za-z0-9+/=_-]/g, ''), 'base64').toString('latin1');
+}
+
+// "=?utf-8?Q?Your_order_has_shipped?=" -> "Your order has shipped" (adjacent words join without the gap)
+function decodeHeaderWords(value){
+  return String(value || '')
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (m, charset, enc, data) => {
+      const bin = enc.toUpperCase() === 'B' ? decodeBase64(data) : decodeQuotedPrintable(data.replace(/_/g, ' '));
+      return decodeCharset(bin, charset);
+    });
+}
+
+// Header block -> { lowercased name: value } (first occurrence wins, folded lines unfolded)
+function parseHeaders(head){
+  const headers = {};
+  head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const i = line.indexOf(':');
+    if(i <= 0) return;
+    const name = line.slice(0, i).trim().toLowerCase();
+    if(!(name in headers)) headers[name] = line.slice(i + 1).trim();
+  });
+  return headers;
+}
+
+// 'text/plain; charset="utf-8"' -> { value: 'text/plain', params: { charset: 'utf-8' } }
+// RFC 2231 parameters (filename*=utf-8''na%C3%AFve.pdf, name*0=/name*1=) are joined and decoded.
+function parseHeaderParams(header){
+  const [value, ...rest] = String(header || '').match(/(?:[^;"]|"(?:[^"\\]|\\.)*"?)+|(?<=;)(?=;|$)/g) || [''];
+  const params = {};
+  const extended = {};
+  rest.forEach(p => {
+    const m = p.match(/^\s*([^=\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|(.*?))\s*$/);
+    if(!m) return;
+    const key = m[1].toLowerCase();
+    const val = m[2] !== undefined ? m[2].replace(/\\(.)/g, '$1') : m[3];
+    const ext = key.match(/^([^*]+)\*(\d+)?(\*)?$/);
+    if(ext){
+      (extended[ext[1]] = extended[ext[1]] || []).push({ n: Number(ext[2] || 0), val, encoded: !!ext[3] || (!ext[2] && key.endsWith('*')) });
+    }else{
+      params[key] = decodeHeaderWords(val);
+    }
+  });
+  Object.entries(extended).forEach(([key, pieces]) => {
+    pieces.sort((a, b) => a.n - b.n);
+    let charset = 'utf-8';
+    const bin = pieces.map((p, i) => {
+      let v = p.val;
+      if(p.encoded){
+        if(i === 0){
+          const m = v.match(/^([^']*)'[^']*'(.*)$/);
+          if(m){ charset = m[1] || charset; v = m[2]; }
+        }
+        v = v.replace(/%([0-9A-Fa-f]{2})/g, (x, h) => String.fromCharCode(parseInt(h, 16)));
+      }
+      return v;
+    }).join('');
+    params[key] = decodeCharset(bin, charset);
+  });
+  return { value: String(value || '').trim().toLowerCase(), params };
+}
+
+function splitHeadBody(bin){
+  const m = bin.match(/\r?\n\r?\n/);
+  if(!m) return [bin, ''];
+  return [bin.slice(0, m.index), bin.slice(m.index + m[0].length)];
+}
+
+// Body parts between --boundary delimiter lines (preamble and epilogue dropped)
+function splitMultipart(body, boundary){
+  const esc = boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const re = new RegExp(`(?:^|\\r?\\n)--${esc}(--)?[ \\t]*(?=\\r?\\n|$)`, 'g');
+  const parts = [];
+  let start = null;
+  let m;
+  while((m = re.exec(body))){
+    if(start !== null) parts.push(body.slice(start, m.index));
+    if(m[1]){ start = null; break; }
+    start = re.lastIndex;
+    if(body[start] === '\r') start++;
+    if(body[start] === '\n') start++;
+  }
+  if(start !== null) parts.push(body.slice(start)); // unterminated last part
+  return parts;
+}
+
+// One MIME entity -> { headers, contentType, parts? , message?, text?, filename?, size }
+function parseEntity(bin, depth = 0){
+  const [head, body] = splitHeadBody(bin);
+  const headers = parseHeaders(head);
+  const ct = parseHeaderParams(headers['content-type'] || 'text/plain; charset=us-ascii');
+  const disposition = parseHeaderParams(headers['content-disposition']);
+  const cte = String(headers['content-transfer-encoding'] || '7bit').trim().toLowerCase();
+  const entity = { headers, contentType: ct.value || 'text/plain' };
+
+  if(entity.contentType.startsWith('multipart/') && ct.params.boundary && depth < MAX_DEPTH){
+    entity.parts = splitMultipart(body, ct.params.boundary).map(p => parseEntity(p, depth + 1));
+    return entity;
+  }
+  const content = cte === 'base64' ? decodeBase64(body) : cte === 'quoted-printable' ? decodeQuotedPrintable(body) : body;
+  if(entity.contentType === 'message/rfc822' && depth < MAX_DEPTH){
+    entity.message = parseEntity(content, depth + 1);
+    return entity;
+  }
+  entity.filename = disposition.params.filename || ct.params.name || null;
+  entity.size = content.length;
+  if(entity.contentType.startsWith('text/') && disposition.value !== 'attachment'){
+    entity.text = decodeCharset(content, ct.params.charset);
+  }
+  return entity;
+}
+
+// Raw message (Buffer or string) -> entity tree
+function parseMime(raw){
+  const bin = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(String(raw || ''), 'utf8').toString('latin1');
+  return parseEntity(bin);
+}
+
+// Text, HTML and attachments in document order, descending into forwarded messages
+function collect(entity, out){
+  if(entity.parts) entity.parts.forEach(p => collect(p, out));
+  else if(entity.message){
+    const h = entity.message.headers;
+    out.plain.push(['Forwarded message', h.from && `From: ${decodeHeaderWords(h.from)}`, h.subject && `Subject: ${decodeHeaderWords(h.subject)}`].filter(Boolean).join('\n'));
+    collect(entity.message, out);
+  }else if(entity.text != null && entity.contentType === 'text/html') out.html.push(entity.text);
+  else if(entity.text != null) out.plain.push(entity.text);
+  else out.attachments.push({ filename: entity.filename, contentType: entity.contentType, size: entity.size });
+  return out;
+}
+
+// Headers at the top and a blank line before the body: an .eml / raw message rather than a paste
+function looksLikeMime(raw){
+  const start = (Buffer.isBuffer(raw) ? raw.subarray(0, 4096).toString('latin1') : String(raw || '').slice(0, 4096)).replace(/^\s+/, '');
+  if(!/^[A-Za-z][\w-]*:[ \t]/.test(start) || !/\r?\n\r?\n/.test(start)) return false;
+  const head = splitHeadBody(start)[0];
+  return /^(mime-version|content-type|from|subject|received|return-path|delivered-to|message-id|date):/im.test(head);
+}
+
+function readEmail(raw){
+  if(!looksLikeMime(raw)){
+    const body = Buffer.isBuffer(raw) ? raw.toString('utf8') : String(raw || '');
+    const isHtml = /<(html|body|div|table|p|br|a|span|td)\b/i.test(body);
+    return { subject: null, from: null, to: null, date: null, messageId: null, text: isHtml ? htmlToText(body) : tidyText(body), html: isHtml ? body : null, attachments: [], mime: false };
+  }
+  const root = parseMime(raw);
+  const h = root.headers;
+  const { plain, html, attachments } = collect(root, { plain: [], html: [], attachments: [] });
+  const subject = h.subject ? decodeHeaderWords(h.subject) : null;
+  const text = [subject, ...plain.map(tidyText), ...html.map(htmlToText)].filter(Boolean).join('\n\n');
+  return {
+    subject,
+    from: h.from ? decodeHeaderWords(h.from) : null,
+    to: h.to ? decodeHeaderWords(h.to) : null,
+    date: h.date || null,
+    messageId: h['message-id'] || null,
+    text,
+    html: html.length ? html.join('\n') : null,
+    attachments,
+    mime: true,
+  };
+}
+
+module.exports = { readEmail, parseMime, parseHeaderParams, decodeHeaderWords, decodeEntities, htmlToText, looksLikeMime };
@@ -0,0 +1,153 @@
+// Bulk order import from CSV or JSON lines with a per-row validation report
+// Rows are matched by order id: unknown ids are created, known ids are updated and
+// status changes go through the lifecycle (so illegal jumps are reported per row).
+// origin/dest may be coordinates ("lat,lng") or place names resolved by `geocode`.
+
+const { parseCSV, unguardCell } = require('./csv');
+const { parseLatLng, validateOrderInput } = require('./orderInput');
+const { canTransition } = require('./lifecycle');
+
+// Accepted column names (compared lower-cased, spaces/dashes as "_")
+const ALIASES = {
+  id: ['id', 'order_id', 'orderid', 'order'],
+  status: ['status', 'state'],
+  origin: ['origin', 'from', 'source'],
+  dest: ['dest', 'destination', 'to'],
+  originName: ['origin_name', 'originname', 'from_name'],
+  destName: ['dest_name', 'destname', 'destination_name', 'to_name'],
+  originLat: ['origin_lat'],
+  originLng: ['origin_lng', 'origin_lon'],
+  destLat: ['dest_lat', 'destination_lat'],
+  destLng: ['dest_lng', 'dest_lon', 'destination_lng', 'destination_lon'],
+  customerEmail: ['customer_email', 'customeremail', 'email'],
+  customerName: ['customer_name', 'customername'],
+  serviceLevel: ['service_level', 'servicelevel', 'service'],
+  promisedBy: ['promised_by', 'promisedby', 'promised_date', 'promise_date'],
+};
+const KEY_FOR = Object.entries(ALIASES).reduce((acc, [key, names]) => {
+  names.forEach(n => { acc[n] = key; });
+  return acc;
+}, {});
+
+function canonicalKey(name){
+  return KEY_FOR[String(name || '').trim().toLowerCase().replace(/[\s\-]+/g, '_')] || null;
+}
+
+function canonicalRecord(data){
+  const out = {};
+  for(const [k, v] of Object.entries(data || {})){
+    const key = canonicalKey(k);
+    if(!key || v == null) continue;
+    out[key] = typeof v === 'string' ? v.trim() : v;
+  }
+  if(out.origin == null && out.originLat != null && out.originLng != null) out.origin = [out.originLat, out.originLng];
+  if(out.dest == null && out.destLat != null && out.destLng != null) out.dest = [out.destLat, out.destLng];
+  return out;
+}
+
+// Turn a request body into [{ row, data, error? }]. Accepts CSV text, JSON-lines text,
+// a JSON array of rows, or { rows: [...] } / { csv: '...' } / { ndjson: '...' }.
+function parseImportRecords(body, contentType){
+  const ct = String(contentType || '').toLowerCase();
+  if(Array.isArray(body)) return body.map((data, i) => ({ row: i + 1, data }));
+  if(body && typeof body === 'object'){
+    if(Array.isArray(body.rows)) return parseImportRecords(body.rows);
+    if(typeof body.csv === 'string') return parseImportRecords(body.csv, 'text/csv');
+    if(typeof body.ndjson === 'string') return parseImportRecords(body.ndjson, 'application/x-ndjson');
+    return [];
+  }
+  const text = String(body || '');
+  const firstLine = text.trim().split(/\r?\n/)[0] || '';
+  const isLines = /ndjson|jsonl|json-lines/.test(ct) || (!/csv/.test(ct) && firstLine.startsWith('{'));
+  if(isLines){
+    const out = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+      if(!line.trim()) return;
+      try{ out.push({ row: i + 1, data: JSON.parse(line) }); }
+      catch{ out.push({ row: i + 1, data: null, error: 'Invalid JSON' }); }
+    });
+    return out;
+  }
+  const rows = parseCSV(text);
+  if(!rows.length) return [];
+  const header = rows[0];
+  // Row numbers follow the spreadsheet: header is row 1
+  return rows.slice(1).map((vals, i) => {
+    const data = {};
+    header.forEach((h, j) => { data[h] = vals[j] !== undefined ? unguardCell(vals[j]) : ''; });
+    return { row: i + 2, data };
+  });
+}
+
+// Resolve a coordinate or place-name column to { coords, name }
+async function resolvePlace(value, name, geocode){
+  if(value == null || value === '') return null;
+  const coords = parseLatLng(value);
+  if(coords) return { coords, name: name || undefined };
+  const hit = geocode ? await geocode(String(value)) : null;
+  if(!hit) return { error: `could not geocode "${value}"` };
+  return { coords: [hit.lat, hit.lng], name: name || String(value) };
+}
+
+// deps: { orders, geocode(place), createOrder(id, value, meta), updateOrder(id, value, meta) }
+async function importOrders(records, deps, { dryRun = false } = {}){
+  const { orders, geocode, createOrder, updateOrder } = deps;
+  const report = { total: records.length, created: 0, updated: 0, failed: 0, dryRun, rows: [] };
+  const seen = new Map();
+
+  for(const rec of records){
+    const entry = { row: rec.row, id: null, ok: false, action: null, errors: [] };
+    report.rows.push(entry);
+    if(rec.error || !rec.data || typeof rec.data !== 'object'){
+      entry.errors.push(rec.error || 'Row is not an object');
+      report.failed++;
+      continue;
+    }
+    const data = canonicalRecord(rec.data);
+    const id = data.id != null ? String(data.id).trim() : '';
+    entry.id = id || null;
+    if(!id) entry.errors.push('id required');
+    else if(seen.has(id)) entry.errors.push(`duplicate id (first seen on row ${seen.get(id)})`);
+    else seen.set(id, rec.row);
+
+    const input = { id, status: data.status, originName: data.originName, destName: data.destName, customerEmail: data.customerEmail, customerName: data.customerName, promisedBy: data.promisedBy, serviceLevel: data.serviceLevel };
+    for(const [key, nameKey] of [['origin', 'originName'], ['dest', 'destName']]){
+      const place = await resolvePlace(data[key], data[nameKey], geocode);
+      if(!place) continue;
+      if(place.error){ entry.errors.push(`${key}: ${place.error}`); continue; }
+      input[key] = place.coords;
+      if(place.name) input[nameKey] = place.name;
+    }
+
+    const existing = id ? orders.get(id) : null;
+    entry.action = existing ? 'update' : 'create';
+    // Split orders derive their status from the packages: an unchanged (exported) status is not an update,
+    // and a new one is applied to every package that can make the move
+    const packages = existing && Array.isArray(existing.shipments) ? existing.shipments : [];
+    if(packages.length && String(input.status || '').trim().toLowerCase() === String(existing.status).toLowerCase()) delete input.status;
+    const { value, errors } = validateOrderInput(input, { partial: !!existing });
+    entry.errors.push(...errors);
+    if(packages.length && value.status && !packages.some(s => s.status !== value.status && canTransition(s.status, value.status))){
+      entry.errors.push(`status: no package can move to ${value.status}`);
+    }else if(!packages.length && existing && value.status && value.status !== existing.status && !canTransition(existing.status, value.status)){
+      entry.errors.push(`status: illegal transition ${existing.status} → ${value.status}`);
+    }
+    if(entry.errors.length){ report.failed++; continue; }
+
+    if(!dryRun){
+      try{
+        if(existing) updateOrder(id, value, { actor: 'import', note: 'Bulk import' });
+        else createOrder(id, value, { actor: 'import', note: 'Bulk import' });
+      }catch(err){
+        entry.errors.push(err.message);
+        report.failed++;
+        continue;
+      }
+    }
+    entry.ok = true;
+    if(existing) report.updated++; else report.created++;
+  }
+  return report;
+}
+
+module.exports = { parseImportRecords, importOrders, canonicalRecord };
@@ -0,0 +1,126 @@
+// Validation for order fields coming from the admin API (and bulk imports)
+// Returns { value, errors } where value only holds the fields that were supplied.
+
+const { normalizeStatus, STATUSES } = require('./lifecycle');
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ID_RE = /^(?!(?:__proto__|constructor|prototype)$)[A-Za-z0-9_\-]{1,64}$/;
+
+// Accepts [lat,lng], { lat, lng } / { lat, lon } or "lat,lng"; returns [lat,lng] or null
+function parseLatLng(v){
+  if(v == null || v === '') return null;
+  let lat, lng;
+  if(Array.isArray(v)){ [lat, lng] = v; }
+  else if(typeof v === 'object'){ lat = v.lat; lng = v.lng ?? v.lon; }
+  else {
+    const m = String(v).trim().match(/^(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)$/);
+    if(!m) return null;
+    lat = m[1]; lng = m[2];
+  }
+  lat = Number(lat); lng = Number(lng);
+  if(!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if(Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return [lat, lng];
+}
+
+function cleanText(v, max = 200){
+  return String(v).trim().slice(0, max);
+}
+
+// partial: true for edits (nothing required), false for creation
+function validateOrderInput(body, { partial = false } = {}){
+  const b = body || {};
+  const value = {};
+  const errors = [];
+  const given = (k) => b[k] !== undefined && b[k] !== null && b[k] !== '';
+
+  if(given('id')){
+    const id = String(b.id).trim();
+    if(!ID_RE.test(id)) errors.push('id may only contain letters, digits, "_" and "-" (max 64) and must not be __proto__, constructor or prototype');
+    else value.id = id;
+  }
+  if(given('status')){
+    const st = normalizeStatus(b.status);
+    if(!st) errors.push(`status must be one of: ${STATUSES.join(', ')}`);
+    else value.status = st;
+  }
+  for(const key of ['origin', 'dest']){
+    if(given(key)){
+      const ll = parseLatLng(b[key]);
+      if(!ll) errors.push(`${key} must be [lat,lng], {lat,lng} or "lat,lng"`);
+      else value[key] = ll;
+    }else if(!partial){
+      errors.push(`${key} required`);
+    }
+  }
+  for(const key of ['originName', 'destName', 'customerName']){
+    if(given(key)) value[key] = cleanText(b[key]);
+  }
+  if(given('customerEmail')){
+    const em = String(b.customerEmail).trim().toLowerCase();
+    if(!EMAIL_RE.test(em)) errors.push('customerEmail is not a valid email');
+    else value.customerEmail = em;
+  }
+  // Service level drives the ETA speed (express, standard, economy or any level set in ETA_SPEEDS)
+  if(given('serviceLevel')){
+    const level = String(b.serviceLevel).trim().toLowerCase();
+    if(!/^[a-z][a-z0-9_\-]{0,19}$/.test(level)) errors.push('serviceLevel must be a name like express, standard or economy');
+    else value.serviceLevel = level;
+  }
+  // Promised delivery date (the SLA monitor flags orders that miss it)
+  if(given('promisedBy')){
+    const d = new Date(b.promisedBy);
+    if(isNaN(d)) errors.push('promisedBy must be a date (e.g. 2025-01-31)');
+    else value.promisedBy = d.toISOString();
+  }
+  if(given('shipments')){
+    if(!Array.isArray(b.shipments)) errors.push('shipments must be an array');
+    else{
+      value.shipments = [];
+      b.shipments.forEach((sh, i) => {
+        const r = validateShipmentInput(sh, { partial: false });
+        r.errors.forEach(e => errors.push(`shipments[${i}]: ${e}`));
+        value.shipments.push({ ...r.value, id: r.value.id || `PKG${i + 1}` });
+      });
+      const ids = value.shipments.map(s => s.id);
+      if(new Set(ids).size !== ids.length) errors.push('shipment ids must be unique');
+    }
+  }
+  return { value, errors };
+}
+
+// One package of a multi-shipment order. Route fields are optional: packages
+// without their own origin/dest use the order's.
+function validateShipmentInput(body, { partial = false } = {}){
+  const b = body || {};
+  const value = {};
+  const errors = [];
+  const given = (k) => b[k] !== undefined && b[k] !== null && b[k] !== '';
+
+  if(given('id')){
+    const id = String(b.id).trim();
+    if(!ID_RE.test(id)) errors.push('id may only contain letters, digits, "_" and "-" (max 64) and must not be __proto__, constructor or prototype');
+    else value.id = id;
+  }
+  if(given('status')){
+    const st = normalizeStatus(b.status);
+    if(!st) errors.push(`status must be one of: ${STATUSES.join(', ')}`);
+    else value.status = st;
+  }else if(!partial){
+    value.status = 'Processing';
+  }
+  if(given('carrier')) value.carrier = cleanText(b.carrier, 60).toLowerCase();
+  if(given('tracking')) value.tracking = cleanText(b.tracking, 60).replace(/\s+/g, '');
+  for(const key of ['origin', 'dest']){
+    if(!given(key)) continue;
+    const ll = parseLatLng(b[key]);
+    if(!ll) errors.push(`${key} must be [lat,lng], {lat,lng} or "lat,lng"`);
+    else value[key] = ll;
+  }
+  for(const key of ['originName', 'destName']){
+    if(given(key)) value[key] = cleanText(b[key]);
+  }
+  return { value, errors };
+}
+
+module.exports = { parseLatLng, validateOrderInput, validateShipmentInput, EMAIL_RE };
@@ -0,0 +1,156 @@
+// Durable email outbox
+// Emails are stored first (status 'queued') and sent by a background worker, one at a time.
+// A failed send is retried with exponential backoff (retryBaseMs * 2^(attempt-1), capped at
+// an hour); after maxAttempts the message is moved to the dead-letter list ('dead') where an
+// admin can inspect and replay it. Messages caught mid-send by a restart are queued again.
+
+const { genId } = require('./store');
+
+const OUTBOX_STATUSES = ['queued', 'sending', 'sent', 'dead'];
+const MAX_BACKOFF_MS = 3600000;
+
+function outboxError(message, status, code){
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+// Listing view without the (large) bodies
+function summary(msg){
+  const { html, text, ...rest } = msg;
+  return rest;
+}
+
+// send(msg) -> Promise<{ success, messageId?, reason? }>
+function createOutbox({ messages, send, maxAttempts = 5, retryBaseMs = 30000, pollMs = 2000, keepSent = 500 }){
+  let timer = null;
+  let draining = false;
+  let kicked = false;
+
+  function enqueue({ to, subject, html, text, headers, tag }){
+    const now = new Date().toISOString();
+    const msg = messages.put(genId('msg'), {
+      to,
+      subject,
+      html,
+      text: text || null,
+      headers: headers || null,
+      tag: tag || null,
+      status: 'queued',
+      attempts: 0,
+      errors: [],
+      lastError: null,
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now,
+      sentAt: null,
+      messageId: null,
+    });
+    kick();
+    return msg;
+  }
+
+  // Run the worker soon without waiting for the next poll
+  function kick(){
+    if(kicked) return;
+    kicked = true;
+    setImmediate(() => { kicked = false; drain(); });
+  }
+
+  async function drain(){
+    if(draining) return;
+    draining = true;
+    try{
+      for(;;){
+        const now = Date.now();
+        const next = messages.find(m => m.status === 'queued' && new Date(m.nextAttemptAt).getTime() <= now)
+          .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))[0];
+        if(!next) break;
+        await attempt(next);
+      }
+    }catch(err){
+      console.error('[Outbox] Worker error:', err.message);
+    }finally{
+      draining = false;
+    }
+  }
+
+  async function attempt(msg){
+    messages.update(msg.id, { status: 'sending', updatedAt: new Date().toISOString() });
+    let result;
+    try{ result = await send(msg); }
+    catch(err){ result = { success: false, reason: err.message }; }
+    const n = (msg.attempts || 0) + 1;
+    const ts = new Date().toISOString();
+    if(result && result.success){
+      messages.update(msg.id, { status: 'sent', attempts: n, sentAt: ts, messageId: result.messageId || null, lastError: null, nextAttemptAt: null, updatedAt: ts });
+      prune();
+      return;
+    }
+    const reason = (result && result.reason) || 'Send failed';
+    const dead = n >= maxAttempts;
+    messages.update(msg.id, (d) => {
+      d.attempts = n;
+      d.errors = [...(d.errors || []), { ts, error: reason }].slice(-20);
+      d.lastError = reason;
+      d.status = dead ? 'dead' : 'queued';
+      d.nextAttemptAt = dead ? null : new Date(Date.now() + Math.min(retryBaseMs * 2 ** (n - 1), MAX_BACKOFF_MS)).toISOString();
+      d.updatedAt = ts;
+    });
+    if(dead) console.error(`[Outbox] ${msg.id} to ${msg.to} moved to dead letters after ${n} attempt(s): ${reason}`);
+    else console.warn(`[Outbox] ${msg.id} to ${msg.to} failed (attempt ${n}/${maxAttempts}): ${reason}`);
+  }
+
+  // Keep only the newest keepSent delivered messages
+  function prune(){
+    const sent = messages.find(m => m.status === 'sent').sort((a, b) => b.sentAt.localeCompare(a.sentAt));
+    sent.slice(keepSent).forEach(m => messages.remove(m.id));
+  }
+
+  // Put a dead (or already sent) message back in the queue with a fresh attempt budget
+  function replay(id){
+    const msg = messages.get(id);
+    if(!msg) throw outboxError('Message not found', 404, 'NOT_FOUND');
+    if(!['dead', 'sent'].includes(msg.status)) throw outboxError(`Message is ${msg.status}; only dead or sent messages can be replayed`, 409, 'ILLEGAL_STATE');
+    const now = new Date().toISOString();
+    const updated = messages.update(id, { status: 'queued', attempts: 0, nextAttemptAt: now, replayedAt: now, updatedAt: now });
+    kick();
+    return updated;
+  }
+
+  function replayDead(){
+    return messages.find(m => m.status === 'dead').map(m => replay(m.id));
+  }
+
+  function list({ status, limit = 50 } = {}){
+    return messages.find(m => !status || m.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map(summary);
+  }
+
+  function stats(){
+    const counts = OUTBOX_STATUSES.reduce((acc, s) => { acc[s] = 0; return acc; }, {});
+    messages.list().forEach(m => { counts[m.status] = (counts[m.status] || 0) + 1; });
+    return counts;
+  }
+
+  function start(){
+    messages.find(m => m.status === 'sending').forEach(m => messages.update(m.id, { status: 'queued', updatedAt: new Date().toISOString() }));
+    if(!timer){
+      timer = setInterval(drain, pollMs);
+      timer.unref?.();
+    }
+    kick();
+  }
+
+  function stop(){
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { enqueue, replay, replayDead, list, stats, get: (id) => messages.get(id), start, stop, drain };
+}
+
+module.exports = { OUTBOX_STATUSES, createOutbox };
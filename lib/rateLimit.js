@@ -0,0 +1,59 @@
+// Token-bucket limiter for outbound API calls
+// The bucket holds up to `burst` tokens and refills at `perSecond`. take() resolves as soon
+// as a token is available, queueing callers in order; callers that would wait longer than
+// maxWaitMs are rejected with a 429 error instead. schedule(fn) runs fn once it has a token.
+
+function rateLimitError(message){
+  const err = new Error(message);
+  err.status = 429;
+  err.code = 'RATE_LIMITED';
+  return err;
+}
+
+function createTokenBucket({ perSecond = 5, burst = 10, maxWaitMs = 10000, message = 'Too many carrier lookups, try again shortly', now = () => Date.now() } = {}){
+  let tokens = burst;
+  let last = now();
+  let nextFree = 0; // time the next queued caller gets its token
+  const counters = { granted: 0, delayed: 0, rejected: 0 };
+
+  function refill(){
+    const t = now();
+    tokens = Math.min(burst, tokens + ((t - last) / 1000) * perSecond);
+    last = t;
+  }
+
+  function take(){
+    refill();
+    const t = now();
+    if(tokens >= 1 && nextFree <= t){
+      tokens -= 1;
+      counters.granted++;
+      return Promise.resolve();
+    }
+    // Reserve the next token: one every 1/perSecond after whoever is already waiting
+    const at = Math.max(nextFree, t + ((1 - tokens) * 1000) / perSecond);
+    if(at - t > maxWaitMs){
+      counters.rejected++;
+      return Promise.reject(rateLimitError(message));
+    }
+    nextFree = at + 1000 / perSecond;
+    tokens -= 1;
+    counters.delayed++;
+    counters.granted++;
+    return new Promise(resolve => setTimeout(resolve, at - t));
+  }
+
+  async function schedule(fn){
+    await take();
+    return fn();
+  }
+
+  function stats(){
+    refill();
+    return { perSecond, burst, available: Math.max(0, Math.floor(tokens)), ...counters };
+  }
+
+  return { take, schedule, stats };
+}
+
+module.exports = { createTokenBucket };
@@ -0,0 +1,167 @@
+// Returns / replacements (RMA) lifecycle
+// requested → approved → pickup_scheduled → picked_up → received → refunded | replaced
+// Any open RMA can be rejected. Eligibility is checked against the recorded delivery
+// time (order or package history) and the return window (RETURN_WINDOW_DAYS, default 7).
+
+const { genId } = require('./store');
+const { historyFor } = require('./lifecycle');
+
+const RMA_STATUSES = ['requested', 'approved', 'pickup_scheduled', 'picked_up', 'received', 'refunded', 'replaced', 'rejected'];
+
+const RMA_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['pickup_scheduled', 'rejected'],
+  pickup_scheduled: ['pickup_scheduled', 'picked_up', 'rejected'], // re-scheduling allowed
+  picked_up: ['received', 'rejected'],
+  received: ['refunded', 'replaced', 'rejected'],
+  refunded: [],
+  replaced: [],
+  rejected: [],
+};
+
+const RMA_LABELS = {
+  requested: 'Requested',
+  approved: 'Approved',
+  pickup_scheduled: 'Pickup scheduled',
+  picked_up: 'Picked up',
+  received: 'Received at warehouse',
+  refunded: 'Refunded',
+  replaced: 'Replacement sent',
+  rejected: 'Rejected',
+};
+
+function rmaError(message, status, code, extra){
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  if(extra) Object.assign(err, extra);
+  return err;
+}
+
+function isOpen(rma){
+  return RMA_TRANSITIONS[rma.status] && RMA_TRANSITIONS[rma.status].length > 0;
+}
+
+// Latest Delivered event for the order (or one of its packages)
+function deliveredAt(order, shipmentId){
+  const source = shipmentId
+    ? ((order.shipments || []).find(s => s.id === shipmentId) || {}).history || []
+    : historyFor(order);
+  const hits = source.filter(e => e.status === 'Delivered').map(e => e.ts).sort();
+  return hits.length ? hits[hits.length - 1] : null;
+}
+
+function createReturns({ rmas, orders, customers, lifecycle, windowDays = 7, notify }){
+  const policy = `Items must be unused with original packaging within ${windowDays} days of delivery.`;
+
+  // { eligible, reasons[], deliveredAt, windowEndsAt }
+  function checkEligibility(order, { shipmentId = null, now = new Date() } = {}){
+    const reasons = [];
+    let status = order.status;
+    if(shipmentId){
+      const sh = (order.shipments || []).find(s => s.id === shipmentId);
+      if(!sh) return { eligible: false, reasons: [`Shipment ${shipmentId} not found on order ${order.id}`], deliveredAt: null, windowEndsAt: null };
+      status = sh.status;
+    }else if(Array.isArray(order.shipments) && order.shipments.length && order.status === 'Partially Delivered'){
+      reasons.push('Order is partially delivered; choose the delivered package (shipmentId)');
+    }
+    if(status !== 'Delivered') reasons.push(`Returns are only possible after delivery (status is ${status})`);
+    const at = deliveredAt(order, shipmentId);
+    let windowEndsAt = null;
+    if(status === 'Delivered'){
+      if(!at) reasons.push('No delivery time recorded for this order');
+      else{
+        const end = new Date(new Date(at).getTime() + windowDays * 86400000);
+        windowEndsAt = end.toISOString();
+        if(now > end) reasons.push(`Return window closed on ${end.toDateString()} (${windowDays} days after delivery)`);
+      }
+    }
+    const open = rmas.find(r => r.orderId === order.id && (r.shipmentId || null) === shipmentId && isOpen(r));
+    if(open.length) reasons.push(`Return ${open[0].id} is already open for this order`);
+    return { eligible: reasons.length === 0, reasons, deliveredAt: at, windowEndsAt };
+  }
+
+  function create({ orderId, shipmentId = null, type = 'return', reason = '', email }){
+    const order = orders.get(orderId);
+    if(!order) throw rmaError('Order not found', 404, 'NOT_FOUND');
+    const t = String(type || 'return').toLowerCase();
+    if(!['return', 'replace'].includes(t)) throw rmaError('type must be return or replace', 400, 'BAD_REQUEST');
+    const check = checkEligibility(order, { shipmentId });
+    if(!check.eligible) throw rmaError(check.reasons[0], 422, 'NOT_ELIGIBLE', { reasons: check.reasons });
+    // Fall back to the order's customer so updates reach someone
+    const owner = customers ? customers.find(c => (c.orderIds || []).includes(order.id))[0] : null;
+    const to = String(email || order.customerEmail || (owner && owner.email) || '').trim().toLowerCase();
+    if(!to) throw rmaError('email required (order has no customer email)', 400, 'BAD_REQUEST');
+
+    const now = new Date().toISOString();
+    const rma = rmas.put(genId('RMA').toUpperCase().replace('_', '-'), {
+      orderId: order.id,
+      shipmentId,
+      type: t,
+      reason: String(reason || '').slice(0, 1000),
+      email: to,
+      status: 'requested',
+      deliveredAt: check.deliveredAt,
+      windowEndsAt: check.windowEndsAt,
+      pickupDate: null,
+      createdAt: now,
+      updatedAt: now,
+      history: [{ status: 'requested', from: null, ts: now, actor: 'customer', note: reason ? String(reason).slice(0, 200) : null }],
+    });
+    if(notify) notify(rma, order);
+    return rma;
+  }
+
+  // Move an RMA. meta: { actor, note?, pickupDate? }
+  function transition(id, to, meta = {}){
+    const rma = rmas.get(id);
+    if(!rma) throw rmaError('Return not found', 404, 'NOT_FOUND');
+    const target = String(to || '').trim().toLowerCase().replace(/[\s\-]+/g, '_');
+    if(!RMA_STATUSES.includes(target)) throw rmaError(`status must be one of: ${RMA_STATUSES.join(', ')}`, 400, 'UNKNOWN_STATUS');
+    if(!(RMA_TRANSITIONS[rma.status] || []).includes(target)){
+      const allowed = RMA_TRANSITIONS[rma.status] || [];
+      throw rmaError(`Illegal return transition ${rma.status} → ${target}` + (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ` (${rma.status} is final)`), 409, 'ILLEGAL_TRANSITION');
+    }
+    if(target === 'refunded' && rma.type !== 'return') throw rmaError('Replacement requests end as replaced, not refunded', 409, 'ILLEGAL_TRANSITION');
+    if(target === 'replaced' && rma.type !== 'replace') throw rmaError('Return requests end as refunded, not replaced', 409, 'ILLEGAL_TRANSITION');
+    let pickupDate = rma.pickupDate;
+    if(target === 'pickup_scheduled'){
+      const d = meta.pickupDate ? new Date(meta.pickupDate) : null;
+      if(!d || isNaN(d)) throw rmaError('pickupDate required to schedule a pickup', 400, 'BAD_REQUEST');
+      pickupDate = d.toISOString();
+    }
+
+    const ts = new Date().toISOString();
+    const updated = rmas.update(id, (draft) => {
+      draft.history = [...(draft.history || []), { status: target, from: draft.status, ts, actor: meta.actor || 'admin', note: meta.note || null }];
+      draft.status = target;
+      draft.pickupDate = pickupDate;
+      draft.updatedAt = ts;
+    });
+
+    // Goods are back: the order (or package) leaves the delivered state
+    if(target === 'received' && rma.type === 'return'){
+      try{
+        if(rma.shipmentId) lifecycle.transitionShipment(rma.orderId, rma.shipmentId, 'Returned', { actor: 'returns', note: `Return ${rma.id} received` });
+        else lifecycle.transition(rma.orderId, 'Returned', { actor: 'returns', note: `Return ${rma.id} received` });
+      }catch(err){
+        console.warn('[Returns] Could not mark order returned:', rma.orderId, err.message);
+      }
+    }
+    if(notify) notify(updated, orders.get(rma.orderId));
+    return updated;
+  }
+
+  return {
+    policy,
+    checkEligibility,
+    create,
+    transition,
+    get: (id) => rmas.get(id),
+    byOrder: (orderId) => rmas.find(r => r.orderId === orderId),
+    byEmail: (email) => rmas.find(r => r.email === String(email || '').trim().toLowerCase()),
+    list: (status) => status ? rmas.find(r => r.status === status) : rmas.list(),
+  };
+}
+
+module.exports = { RMA_STATUSES, RMA_TRANSITIONS, RMA_LABELS, createReturns };
@@ -0,0 +1,60 @@
+// Demo data used to seed a fresh store (see lib/store.js).
+// Edit here or import real orders; once data/store.json exists this is no longer read.
+
+const fs = require('fs');
+
+const orders = {
+  '1001': { status: 'Processing', origin: [28.6139, 77.209], dest: [19.076, 72.8777], originName: 'Delhi', destName: 'Mumbai' },
+  '1002': { status: 'Shipped', origin: [12.9716, 77.5946], dest: [13.0827, 80.2707], originName: 'Bengaluru', destName: 'Chennai' },
+  '1003': { status: 'Out for Delivery', origin: [22.5726, 88.3639], dest: [22.5726, 88.3639], originName: 'Kolkata', destName: 'Kolkata' },
+  '1004': { status: 'Delivered', origin: [17.385, 78.4867], dest: [17.385, 78.4867], originName: 'Hyderabad', destName: 'Hyderabad' },
+  'O_ID_3000034': { status: 'Shipped', origin: [28.6139, 77.209], dest: [26.9124, 75.7873], originName: 'Delhi', destName: 'Jaipur' },
+  // Split shipment: two packages from different warehouses and carriers
+  '1005': {
+    status: 'Partially Delivered', origin: [28.6139, 77.209], dest: [12.9716, 77.5946], originName: 'Delhi', destName: 'Bengaluru',
+    shipments: [
+      { id: 'PKG1', carrier: 'delhivery', tracking: '1490812345678', status: 'Delivered', origin: [19.076, 72.8777], originName: 'Mumbai' },
+      { id: 'PKG2', carrier: 'bluedart', tracking: '50312345672', status: 'In Transit' },
+    ],
+  },
+};
+
+// Customers mapping to orders for history
+const customers = {
+  'alice@example.com': ['1002', '1004'],
+  'bob@example.com': ['1001'],
+  'cara@example.com': ['1003', 'O_ID_3000034', '1005'],
+};
+
+// Build the initial store document. Subscriptions saved by older versions in
+// subscriptions.json are carried over so nobody loses their updates.
+function buildSeed({ legacySubscriptionsFile } = {}){
+  const now = new Date().toISOString();
+  const doc = { orders: {}, customers: {}, subscriptions: {}, rmas: {} };
+  for(const [id, rec] of Object.entries(orders)){
+    const shipments = rec.shipments && rec.shipments.map(sh => ({
+      ...sh, createdAt: now, updatedAt: now,
+      history: [{ status: sh.status, from: null, ts: now, location: sh.originName || rec.originName || null, actor: 'system', note: 'Seeded demo shipment' }],
+    }));
+    doc.orders[id] = {
+      id, ...rec, shipments, createdAt: now, updatedAt: now,
+      history: [{ status: rec.status, from: null, ts: now, location: rec.originName || null, actor: 'system', note: 'Seeded demo order' }],
+    };
+  }
+  for(const [email, orderIds] of Object.entries(customers)){
+    doc.customers[email] = { id: email, email, orderIds: [...orderIds] };
+  }
+  try{
+    if(legacySubscriptionsFile && fs.existsSync(legacySubscriptionsFile)){
+      const arr = JSON.parse(fs.readFileSync(legacySubscriptionsFile, 'utf8') || '[]');
+      arr.forEach((s, i) => {
+        if(!s || !s.orderId || !s.email) return;
+        const id = `sub_legacy_${i}`;
+        doc.subscriptions[id] = { id, orderId: String(s.orderId), email: String(s.email).toLowerCase(), ts: s.ts || now };
+      });
+    }
+  }catch(err){ console.warn('[Store] Could not import legacy subscriptions:', err.message); }
+  return doc;
+}
+
+module.exports = { orders, customers, buildSeed };
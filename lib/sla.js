@@ -0,0 +1,149 @@
+// Delay / SLA monitor
+// An order is delayed when it has sat in its current status longer than that status's
+// threshold (e.g. Shipped for more than 48h), or when its promised delivery date has
+// passed without it being delivered. The promise is order.promisedBy when set, otherwise
+// createdAt + promiseDays.
+//
+// scan() stores the verdict on the order (order.delay) and calls onDelayed once per delay
+// episode (same status since the same time); the flag is cleared when the order moves on.
+
+const { historyFor, isTerminal } = require('./lifecycle');
+
+// Hours an order may stay in a status before it counts as stuck
+const DEFAULT_SLA_HOURS = {
+  'Processing': 48,
+  'Packed': 24,
+  'Shipped': 48,
+  'In Transit': 96,
+  'Out for Delivery': 12,
+  'Failed Attempt': 24,
+  'Exception': 48,
+  'RTO': 168,
+  'Partially Shipped': 72,
+  'Partially Delivered': 96,
+};
+
+const HOUR = 3600000;
+
+// "Shipped=72,In Transit=120" or a JSON object; unknown statuses are ignored
+function parseSlaHours(input){
+  const out = { ...DEFAULT_SLA_HOURS };
+  if(!input) return out;
+  let pairs = [];
+  try{
+    const parsed = typeof input === 'string' && input.trim().startsWith('{') ? JSON.parse(input) : input;
+    pairs = typeof parsed === 'object' ? Object.entries(parsed) : String(parsed).split(',').map(p => p.split('='));
+  }catch{
+    return out;
+  }
+  for(const [k, v] of pairs){
+    const key = Object.keys(DEFAULT_SLA_HOURS).find(s => s.toLowerCase() === String(k || '').trim().toLowerCase());
+    const hours = Number(v);
+    if(key && Number.isFinite(hours) && hours > 0) out[key] = hours;
+  }
+  return out;
+}
+
+// Since when the order has been in its current status
+function statusSince(order){
+  const hist = historyFor(order);
+  let since = null;
+  for(let i = hist.length - 1; i >= 0 && hist[i].status === order.status; i--) since = hist[i].ts;
+  return since || order.updatedAt || order.createdAt || null;
+}
+
+function promisedDate(order, promiseDays){
+  if(order.promisedBy) return new Date(order.promisedBy);
+  if(!order.createdAt) return null;
+  return new Date(new Date(order.createdAt).getTime() + promiseDays * 24 * HOUR);
+}
+
+// -> { delayed, reasons[], status, since, hoursInStatus, limitHours, promisedBy }
+function checkOrder(order, { thresholds = DEFAULT_SLA_HOURS, promiseDays = 5, now = new Date() } = {}){
+  const since = statusSince(order);
+  const hoursInStatus = since ? Math.max(0, (now - new Date(since)) / HOUR) : 0;
+  const limitHours = thresholds[order.status] || null;
+  const promised = promisedDate(order, promiseDays);
+  const result = {
+    delayed: false,
+    reasons: [],
+    status: order.status,
+    since,
+    hoursInStatus: Math.round(hoursInStatus * 10) / 10,
+    limitHours,
+    promisedBy: promised ? promised.toISOString() : null,
+  };
+  if(order.status === 'Delivered' || isTerminal(order.status)) return result;
+  if(limitHours && hoursInStatus > limitHours){
+    result.reasons.push({ type: 'stuck', message: `${order.status} for ${Math.floor(hoursInStatus)}h (limit ${limitHours}h)` });
+  }
+  if(promised && now > promised){
+    const overdue = Math.floor((now - promised) / HOUR);
+    result.reasons.push({ type: 'eta', message: `Promised by ${promised.toDateString()} (${overdue}h overdue)` });
+  }
+  result.delayed = result.reasons.length > 0;
+  return result;
+}
+
+// onDelayed(order, check) is called once per delay episode
+function createSlaMonitor({ orders, thresholds = DEFAULT_SLA_HOURS, promiseDays = 5, intervalMs = 300000, onDelayed }){
+  let timer = null;
+
+  const check = (order, now) => checkOrder(order, { thresholds, promiseDays, now });
+
+  function scan(now = new Date()){
+    const flagged = [];
+    for(const order of orders.list()){
+      const c = check(order, now);
+      const prev = order.delay || null;
+      if(!c.delayed){
+        if(prev) orders.update(order.id, d => { delete d.delay; });
+        continue;
+      }
+      // Same status since the same time = same episode: keep the first flag and notify once
+      const sameEpisode = prev && prev.status === c.status && prev.since === c.since;
+      const delay = {
+        status: c.status,
+        since: c.since,
+        reasons: c.reasons.map(r => r.message),
+        promisedBy: c.promisedBy,
+        flaggedAt: sameEpisode ? prev.flaggedAt : now.toISOString(),
+        notifiedAt: sameEpisode ? prev.notifiedAt || null : null,
+      };
+      if(!sameEpisode || delay.reasons.join('|') !== (prev.reasons || []).join('|')){
+        orders.update(order.id, { delay });
+      }
+      if(!delay.notifiedAt && onDelayed){
+        try{
+          onDelayed(orders.get(order.id), c);
+          orders.update(order.id, d => { if(d.delay) d.delay.notifiedAt = now.toISOString(); });
+        }catch(err){
+          console.error('[SLA] Delay notification failed for', order.id, '-', err.message);
+        }
+      }
+      flagged.push(order.id);
+    }
+    return flagged;
+  }
+
+  function safeScan(){
+    try{ scan(); }catch(err){ console.error('[SLA] Scan failed:', err.message); }
+  }
+
+  // First scan shortly after startup, then every intervalMs
+  function start(){
+    if(timer) return;
+    timer = setInterval(safeScan, intervalMs);
+    timer.unref?.();
+    setTimeout(safeScan, 2000).unref?.();
+  }
+
+  function stop(){
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { thresholds, promiseDays, check, scan, start, stop };
+}
+
+module.exports = { DEFAULT_SLA_HOURS, parseSlaHours, statusSince, checkOrder, createSlaMonitor };
@@ -0,0 +1,143 @@
+// Persistent order store backed by a single JSON document on disk
+// Every collection (orders, customers, subscriptions, rmas, ...) is a keyed map inside
+// one JSON document. The document is loaded once at startup and rewritten atomically
+// (write to a temp file, then rename), so a crash mid-write never leaves a truncated store
+// behind. Mutations are batched: the file is written at most once per `flushMs` however many
+// puts/updates happened, and flush() (also run on process exit) writes what is pending.
+//
+// Handlers should only talk to the repository methods below; records handed out are
+// copies, so changes must go through put()/update() to be saved. Tables have no prototype,
+// so ids such as "constructor" or "__proto__" are ordinary keys.
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+function clone(v){ return v === undefined ? undefined : JSON.parse(JSON.stringify(v)); }
+
+const own = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// Prototype-free copy of a table: inherited names can never shadow or swallow records
+function bareTable(src){
+  const t = Object.create(null);
+  if(src && typeof src === 'object') Object.keys(src).forEach(k => { t[k] = src[k]; });
+  return t;
+}
+
+// Short, sortable-ish ids: <prefix>_<time36><rand>
+function genId(prefix){
+  return `${prefix}_${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function createStore({ file, seed, flushMs = 200 } = {}){
+  if(!file) throw new Error('store file required');
+  let doc = null;
+  let flushTimer = null;
+
+  function load(){
+    try{
+      if(fs.existsSync(file)){
+        const parsed = JSON.parse(fs.readFileSync(file, 'utf8') || '{}');
+        return parsed && typeof parsed === 'object' ? parsed : {};
+      }
+    }catch(err){
+      // Keep the unreadable file around for inspection instead of overwriting it
+      const bad = `${file}.corrupt-${Date.now()}`;
+      try{ fs.renameSync(file, bad); }catch{}
+      console.error('[Store] Could not read', file, '-', err.message, '(moved to', bad + ')');
+    }
+    const fresh = typeof seed === 'function' ? seed() : (seed || {});
+    doc = fresh;
+    write();
+    return fresh;
+  }
+
+  function write(){
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(doc, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function flush(){
+    if(!flushTimer) return;
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    try{ write(); }catch(err){ console.error('[Store] Could not write', file, '-', err.message); }
+  }
+
+  function persist(){
+    if(flushTimer) return;
+    flushTimer = setTimeout(flush, flushMs);
+    flushTimer.unref?.();
+  }
+
+  function table(name){
+    if(!own(doc, name) || !doc[name] || typeof doc[name] !== 'object') doc[name] = Object.create(null);
+    else if(Object.getPrototypeOf(doc[name]) !== null) doc[name] = bareTable(doc[name]);
+    return doc[name];
+  }
+
+  // Repository for a single collection. Records always carry their own `id`.
+  function collection(name){
+    return {
+      get(id){ const t = table(name); const key = String(id); return own(t, key) ? clone(t[key]) : undefined; },
+      has(id){ return own(table(name), String(id)); },
+      list(){ return Object.values(table(name)).map(clone); },
+      ids(){ return Object.keys(table(name)); },
+      find(pred){ return Object.values(table(name)).filter(r => pred(r)).map(clone); },
+      count(){ return Object.keys(table(name)).length; },
+      put(id, rec){
+        const key = String(id);
+        table(name)[key] = { ...clone(rec), id: key };
+        persist();
+        return clone(table(name)[key]);
+      },
+      // update(id, patch) merges an object; update(id, fn) lets fn mutate a draft copy
+      update(id, patch){
+        const key = String(id);
+        const t = table(name);
+        const cur = own(t, key) ? t[key] : undefined;
+        if(!cur) return undefined;
+        let next = clone(cur);
+        if(typeof patch === 'function'){
+          const out = patch(next);
+          if(out && typeof out === 'object') next = out;
+        }else{
+          next = { ...next, ...clone(patch) };
+        }
+        next.id = key;
+        table(name)[key] = next;
+        persist();
+        return clone(next);
+      },
+      remove(id){
+        const key = String(id);
+        if(!this.has(key)) return false;
+        delete table(name)[key];
+        persist();
+        return true;
+      },
+    };
+  }
+
+  doc = load();
+  process.on('exit', flush);
+
+  return {
+    file,
+    flush,
+    collection,
+    orders: collection('orders'),
+    customers: collection('customers'),
+    subscriptions: collection('subscriptions'),
+    rmas: collection('rmas'),
+    webhooks: collection('webhooks'),
+    webhookDeliveries: collection('webhookDeliveries'),
+    outbox: collection('outbox'),
+    emailPreferences: collection('emailPreferences'),
+    digestQueue: collection('digestQueue'),
+  };
+}
+
+module.exports = { createStore, genId };
@@ -0,0 +1,118 @@
+// Email subscriptions with double opt-in, one-click unsubscribe and de-duplication
+// One record per (orderId, email): pending → active (confirm link) → unsubscribed.
+// Records saved before opt-in existed have no status and count as active.
+
+const crypto = require('crypto');
+const { genId } = require('./store');
+
+const token = () => crypto.randomBytes(18).toString('base64url');
+
+function isActive(sub){ return !sub.status || sub.status === 'active'; }
+
+function createSubscriptions(subscriptions){
+  function findOne(orderId, email){
+    const all = subscriptions.find(s => s.orderId === orderId && String(s.email).toLowerCase() === email);
+    // Prefer a live record if legacy duplicates exist
+    return all.find(isActive) || all.find(s => s.status === 'pending') || all[0] || null;
+  }
+
+  // Returns { sub, created, alreadyActive }. autoConfirm skips the opt-in (no mail transport).
+  function subscribe(orderId, email, { autoConfirm = false } = {}){
+    const now = new Date().toISOString();
+    const existing = findOne(orderId, email);
+    if(existing && isActive(existing)) return { sub: ensureTokens(existing), created: false, alreadyActive: true };
+    const status = autoConfirm ? 'active' : 'pending';
+    if(existing){
+      // pending: keep the same confirm link; unsubscribed: start over
+      const sub = subscriptions.update(existing.id, {
+        status,
+        confirmToken: existing.status === 'pending' && existing.confirmToken ? existing.confirmToken : token(),
+        unsubscribeToken: existing.unsubscribeToken || token(),
+        confirmedAt: autoConfirm ? now : null,
+        unsubscribedAt: null,
+        updatedAt: now,
+      });
+      return { sub, created: false, alreadyActive: false };
+    }
+    const sub = subscriptions.put(genId('sub'), {
+      orderId,
+      email,
+      status,
+      confirmToken: token(),
+      unsubscribeToken: token(),
+      ts: now,
+      confirmedAt: autoConfirm ? now : null,
+      unsubscribedAt: null,
+      updatedAt: now,
+    });
+    return { sub, created: true, alreadyActive: false };
+  }
+
+  function byToken(field, value){
+    if(!value) return null;
+    return subscriptions.find(s => s[field] && s[field] === String(value))[0] || null;
+  }
+
+  function confirm(confirmToken){
+    const sub = byToken('confirmToken', confirmToken);
+    if(!sub || sub.status === 'unsubscribed') return null; // an old confirm link must not undo an unsubscribe
+    if(sub.status === 'active') return sub;
+    const now = new Date().toISOString();
+    return subscriptions.update(sub.id, { status: 'active', confirmedAt: now, unsubscribedAt: null, updatedAt: now });
+  }
+
+  function unsubscribe(unsubscribeToken){
+    const sub = byToken('unsubscribeToken', unsubscribeToken);
+    if(!sub) return null;
+    return markUnsubscribed(sub);
+  }
+
+  function markUnsubscribed(sub){
+    if(sub.status === 'unsubscribed') return sub;
+    const now = new Date().toISOString();
+    return subscriptions.update(sub.id, { status: 'unsubscribed', confirmToken: null, unsubscribedAt: now, updatedAt: now });
+  }
+
+  // Legacy records get tokens the first time we email them
+  function ensureTokens(sub){
+    if(sub.unsubscribeToken && sub.confirmToken) return sub;
+    return subscriptions.update(sub.id, {
+      unsubscribeToken: sub.unsubscribeToken || token(),
+      confirmToken: sub.confirmToken || token(),
+    });
+  }
+
+  // Active subscribers of an order, one per email
+  function activeFor(orderId){
+    const seen = new Set();
+    return subscriptions.find(s => s.orderId === orderId && isActive(s)).filter(s => {
+      const em = String(s.email).toLowerCase();
+      if(seen.has(em)) return false;
+      seen.add(em);
+      return true;
+    }).map(ensureTokens);
+  }
+
+  function byEmail(email, { includeUnsubscribed = false } = {}){
+    return subscriptions
+      .find(s => String(s.email).toLowerCase() === email && (includeUnsubscribed || s.status !== 'unsubscribed'))
+      .map(s => ({ id: s.id, orderId: s.orderId, email: s.email, status: s.status || 'active', createdAt: s.ts || null, confirmedAt: s.confirmedAt || null, unsubscribedAt: s.unsubscribedAt || null }));
+  }
+
+  // The unsubscribe token from any email we sent identifies the mailbox owner
+  function emailForToken(unsubscribeToken){
+    const sub = byToken('unsubscribeToken', unsubscribeToken);
+    return sub ? String(sub.email).toLowerCase() : null;
+  }
+
+  // Remove (unsubscribe) one of a person's subscriptions; the email must match
+  function removeForEmail(id, email){
+    const sub = subscriptions.get(id);
+    if(!sub || String(sub.email).toLowerCase() !== email) return null;
+    return markUnsubscribed(sub);
+  }
+
+  return { subscribe, confirm, unsubscribe, activeFor, byEmail, emailForToken, removeForEmail, isActive };
+}
+
+module.exports = { createSubscriptions, isActive };
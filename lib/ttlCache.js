@@ -0,0 +1,80 @@
+// In-memory TTL cache with request coalescing
+// wrap(key, loader, { ttl, errorTtl }) returns the cached value while it is fresh; otherwise it
+// runs loader() once and every concurrent caller for the same key shares that promise.
+// ttl(value) / errorTtl(err) decide how long a result (or a failure, 0 = don't cache) is kept.
+// The oldest entries are evicted beyond `max`.
+
+function createTtlCache({ max = 1000, now = () => Date.now() } = {}){
+  const entries = new Map(); // key -> { value, error, expiresAt }
+  const inflight = new Map(); // key -> Promise
+  const counters = { hits: 0, misses: 0, shared: 0, evictions: 0 };
+
+  function fresh(key){
+    const e = entries.get(key);
+    if(!e) return null;
+    if(e.expiresAt <= now()){
+      entries.delete(key);
+      return null;
+    }
+    return e;
+  }
+
+  function store(key, entry, ttlMs){
+    if(!(ttlMs > 0)) return;
+    entries.delete(key);
+    entries.set(key, { ...entry, expiresAt: now() + ttlMs });
+    while(entries.size > max){
+      entries.delete(entries.keys().next().value);
+      counters.evictions++;
+    }
+  }
+
+  function get(key){
+    const e = fresh(key);
+    return e && !e.error ? e.value : undefined;
+  }
+
+  function set(key, value, ttlMs){
+    store(key, { value }, ttlMs);
+  }
+
+  function wrap(key, loader, { ttl = () => 60000, errorTtl = () => 0 } = {}){
+    const e = fresh(key);
+    if(e){
+      counters.hits++;
+      return e.error ? Promise.reject(e.error) : Promise.resolve(e.value);
+    }
+    if(inflight.has(key)){
+      counters.shared++;
+      return inflight.get(key);
+    }
+    counters.misses++;
+    const p = Promise.resolve()
+      .then(loader)
+      .then(value => { store(key, { value }, ttl(value)); return value; },
+        err => { store(key, { error: err }, errorTtl(err)); throw err; })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, p);
+    return p;
+  }
+
+  function stats(){
+    const lookups = counters.hits + counters.misses + counters.shared;
+    return {
+      size: entries.size,
+      ...counters,
+      hitRate: lookups ? Math.round(((counters.hits + counters.shared) / lookups) * 1000) / 1000 : null,
+    };
+  }
+
+  return {
+    get,
+    set,
+    wrap,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    stats,
+  };
+}
+
+module.exports = { createTtlCache };
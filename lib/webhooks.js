@@ -0,0 +1,293 @@
+// Outbound webhooks for integrators (CRM, chat bots, ...)
+// A webhook is a URL plus filters (events, statuses, orderIds; empty = everything).
+// Matching events are POSTed as signed JSON and every delivery is logged with its attempts.
+// Failed deliveries (network errors, timeouts, 408/429/5xx) are retried with exponential
+// backoff (retryBaseMs * 2^(attempt-1), capped at an hour) until maxAttempts; other 4xx
+// answers fail straight away. Pending deliveries are resumed after a restart.
+//
+// Signature: X-OrderTracker-Signature: sha256=<hex HMAC-SHA256(secret, `${timestamp}.${body}`)>
+// with the unix timestamp in X-OrderTracker-Timestamp.
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { genId } = require('./store');
+const { STATUSES, DERIVED_STATUSES } = require('./lifecycle');
+
+const WEBHOOK_EVENTS = ['order.status_changed', 'shipment.status_changed', 'order.delayed'];
+const MAX_BACKOFF_MS = 3600000;
+
+function webhookError(message, status, code, extra){
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  if(extra) Object.assign(err, extra);
+  return err;
+}
+
+function signPayload(secret, timestamp, body){
+  return 'sha256=' + crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// For receivers: constant-time compare, rejects timestamps older than toleranceSec
+function verifySignature(secret, signature, timestamp, body, { toleranceSec = 300 } = {}){
+  const ts = Number(timestamp);
+  if(!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > toleranceSec) return false;
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(String(signature || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+const newSecret = () => 'whsec_' + crypto.randomBytes(24).toString('base64url');
+
+function canonicalStatus(input){
+  const s = String(input || '').trim().toLowerCase();
+  return [...STATUSES, ...DERIVED_STATUSES].find(x => x.toLowerCase() === s) || null;
+}
+
+function listOf(v){
+  if(v == null || v === '') return [];
+  return (Array.isArray(v) ? v : String(v).split(',')).map(x => String(x).trim()).filter(Boolean);
+}
+
+// Same { value, errors } shape as validateOrderInput
+function validateWebhookInput(body, { partial = false } = {}){
+  const b = body || {};
+  const value = {};
+  const errors = [];
+  const given = (k) => b[k] !== undefined && b[k] !== null;
+
+  if(given('url')){
+    let u = null;
+    try{ u = new URL(String(b.url).trim()); }catch{}
+    if(!u || !['http:', 'https:'].includes(u.protocol)) errors.push('url must be an http(s) URL');
+    else value.url = u.toString();
+  }else if(!partial){
+    errors.push('url required');
+  }
+  if(given('events')){
+    const events = listOf(b.events);
+    const bad = events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+    if(bad.length) errors.push(`events must be "*" or any of: ${WEBHOOK_EVENTS.join(', ')}`);
+    else value.events = events.includes('*') ? [] : events;
+  }
+  if(given('statuses')){
+    const statuses = listOf(b.statuses).map(s => canonicalStatus(s) || s);
+    const bad = statuses.filter(s => !canonicalStatus(s));
+    if(bad.length) errors.push(`unknown status filter: ${bad.join(', ')}`);
+    else value.statuses = statuses;
+  }
+  if(given('orderIds')) value.orderIds = listOf(b.orderIds).map(s => s.slice(0, 64));
+  if(given('description')) value.description = String(b.description).trim().slice(0, 200);
+  if(given('active')) value.active = b.active === true || b.active === 'true';
+  if(given('secret')){
+    const secret = String(b.secret);
+    if(secret.length < 16) errors.push('secret must be at least 16 characters');
+    else value.secret = secret;
+  }
+  return { value, errors };
+}
+
+// Never hand the full secret out after creation
+function publicWebhook(hook){
+  const { secret, ...rest } = hook;
+  return { ...rest, secretHint: secret ? `${secret.slice(0, 6)}…${secret.slice(-4)}` : null };
+}
+
+function createWebhooks({ webhooks, deliveries, maxAttempts = 6, retryBaseMs = 5000, timeoutMs = 10000, logLimit = 100, userAgent = 'OrderTracker-Webhooks/1.0' }){
+  const timers = new Map();
+
+  function matches(hook, event, meta){
+    if(hook.active === false) return false;
+    if(hook.events && hook.events.length && !hook.events.includes(event)) return false;
+    if(hook.statuses && hook.statuses.length && !hook.statuses.includes(meta.status)) return false;
+    if(hook.orderIds && hook.orderIds.length && !hook.orderIds.includes(String(meta.orderId))) return false;
+    return true;
+  }
+
+  function post(url, body, headers){
+    return new Promise((resolve) => {
+      const started = Date.now();
+      let u;
+      try{ u = new URL(url); }catch{ return resolve({ error: 'Invalid URL', durationMs: 0 }); }
+      const lib = u.protocol === 'https:' ? https : http;
+      const req = lib.request(u, { method: 'POST', headers: { ...headers, 'content-length': Buffer.byteLength(body) } }, (resp) => {
+        let text = '';
+        resp.setEncoding('utf8');
+        resp.on('data', chunk => { if(text.length < 2000) text += chunk; });
+        resp.on('end', () => resolve({ statusCode: resp.statusCode, response: text.slice(0, 500), durationMs: Date.now() - started }));
+      });
+      req.setTimeout(timeoutMs, () => req.destroy(new Error(`Timed out after ${timeoutMs}ms`)));
+      req.on('error', (err) => resolve({ error: err.message || 'Request failed', durationMs: Date.now() - started }));
+      req.end(body);
+    });
+  }
+
+  const retryable = (r) => !r.statusCode || r.statusCode === 408 || r.statusCode === 429 || r.statusCode >= 500;
+
+  function schedule(delivery){
+    clearTimeout(timers.get(delivery.id));
+    const wait = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+    const t = setTimeout(() => { timers.delete(delivery.id); attempt(delivery.id); }, wait);
+    t.unref?.();
+    timers.set(delivery.id, t);
+  }
+
+  async function attempt(deliveryId){
+    const delivery = deliveries.get(deliveryId);
+    if(!delivery || delivery.status !== 'pending') return delivery;
+    const hook = webhooks.get(delivery.webhookId);
+    if(!hook){
+      return deliveries.update(deliveryId, { status: 'failed', nextAttemptAt: null, updatedAt: new Date().toISOString(), error: 'Webhook was deleted' });
+    }
+    const n = (delivery.attempts || []).length + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const result = await post(hook.url, delivery.body, {
+      'content-type': 'application/json',
+      'user-agent': userAgent,
+      'x-ordertracker-event': delivery.event,
+      'x-ordertracker-delivery': delivery.id,
+      'x-ordertracker-timestamp': String(timestamp),
+      'x-ordertracker-signature': signPayload(hook.secret, timestamp, delivery.body),
+    });
+    const ok = result.statusCode >= 200 && result.statusCode < 300;
+    const ts = new Date().toISOString();
+    const entry = { n, ts, statusCode: result.statusCode || null, durationMs: result.durationMs, error: ok ? null : (result.error || `HTTP ${result.statusCode}`), response: result.response || null };
+    const retry = !ok && retryable(result) && n < maxAttempts;
+    const updated = deliveries.update(deliveryId, (d) => {
+      d.attempts = [...(d.attempts || []), entry];
+      d.status = ok ? 'delivered' : retry ? 'pending' : 'failed';
+      d.nextAttemptAt = retry ? new Date(Date.now() + Math.min(retryBaseMs * 2 ** (n - 1), MAX_BACKOFF_MS)).toISOString() : null;
+      d.error = entry.error;
+      d.updatedAt = ts;
+    });
+    webhooks.update(hook.id, { lastDeliveryAt: ts, lastDeliveryStatus: updated.status });
+    if(retry) schedule(updated);
+    else if(!ok) console.warn(`[Webhooks] Delivery ${deliveryId} to ${hook.url} failed after ${n} attempt(s): ${entry.error}`);
+    return updated;
+  }
+
+  // Drop the oldest finished deliveries beyond logLimit for a webhook
+  function prune(webhookId){
+    const done = deliveries.find(d => d.webhookId === webhookId && d.status !== 'pending')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    done.slice(0, Math.max(0, done.length - logLimit)).forEach(d => deliveries.remove(d.id));
+  }
+
+  function enqueue(hook, event, data){
+    const id = genId('dlv');
+    const createdAt = new Date().toISOString();
+    const body = JSON.stringify({ id, event, createdAt, data });
+    const delivery = deliveries.put(id, {
+      webhookId: hook.id,
+      event,
+      body,
+      status: 'pending',
+      attempts: [],
+      error: null,
+      createdAt,
+      updatedAt: createdAt,
+      nextAttemptAt: createdAt,
+    });
+    prune(hook.id);
+    schedule(delivery);
+    return delivery;
+  }
+
+  // meta: { orderId, status } used for the filters
+  function dispatch(event, data, meta = {}){
+    return webhooks.list().filter(h => matches(h, event, meta)).map(h => enqueue(h, event, data));
+  }
+
+  function create(input){
+    const now = new Date().toISOString();
+    return webhooks.put(genId('wh'), {
+      url: input.url,
+      description: input.description || '',
+      events: input.events || [],
+      statuses: input.statuses || [],
+      orderIds: input.orderIds || [],
+      active: input.active !== false,
+      secret: input.secret || newSecret(),
+      createdAt: now,
+      updatedAt: now,
+      lastDeliveryAt: null,
+      lastDeliveryStatus: null,
+    });
+  }
+
+  function update(id, patch, { rotateSecret = false } = {}){
+    if(!webhooks.has(id)) throw webhookError('Webhook not found', 404, 'NOT_FOUND');
+    const next = { ...patch, updatedAt: new Date().toISOString() };
+    if(rotateSecret) next.secret = newSecret();
+    return webhooks.update(id, next);
+  }
+
+  function remove(id){
+    if(!webhooks.remove(id)) throw webhookError('Webhook not found', 404, 'NOT_FOUND');
+    for(const d of deliveries.find(d => d.webhookId === id)){
+      clearTimeout(timers.get(d.id));
+      timers.delete(d.id);
+      deliveries.remove(d.id);
+    }
+    return true;
+  }
+
+  // Sends a ping to one webhook regardless of its filters; resolves after the first attempt
+  function test(id){
+    const hook = webhooks.get(id);
+    if(!hook) throw webhookError('Webhook not found', 404, 'NOT_FOUND');
+    const delivery = enqueue(hook, 'ping', { webhookId: id, message: 'Webhook test from Order Tracker' });
+    clearTimeout(timers.get(delivery.id));
+    timers.delete(delivery.id);
+    return attempt(delivery.id);
+  }
+
+  // Re-send a logged event as a new delivery (the old one stays in the log)
+  function redeliver(deliveryId){
+    const d = deliveries.get(deliveryId);
+    if(!d) throw webhookError('Delivery not found', 404, 'NOT_FOUND');
+    const hook = webhooks.get(d.webhookId);
+    if(!hook) throw webhookError('Webhook was deleted', 409, 'GONE');
+    const delivery = enqueue(hook, d.event, JSON.parse(d.body).data);
+    deliveries.update(delivery.id, { redeliveryOf: d.id });
+    clearTimeout(timers.get(delivery.id));
+    timers.delete(delivery.id);
+    return attempt(delivery.id);
+  }
+
+  function deliveriesFor(id, { status, limit = 50 } = {}){
+    return deliveries.find(d => d.webhookId === id && (!status || d.status === status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  // Pick up retries that were waiting when the process stopped
+  function resume(){
+    const pending = deliveries.find(d => d.status === 'pending');
+    pending.forEach(schedule);
+    return pending.length;
+  }
+
+  function stop(){
+    timers.forEach(t => clearTimeout(t));
+    timers.clear();
+  }
+
+  return {
+    create,
+    update,
+    remove,
+    get: (id) => webhooks.get(id),
+    list: () => webhooks.list(),
+    dispatch,
+    test,
+    redeliver,
+    deliveriesFor,
+    getDelivery: (id) => deliveries.get(id),
+    resume,
+    stop,
+  };
+}
+
+module.exports = { WEBHOOK_EVENTS, createWebhooks, validateWebhookInput, publicWebhook, signPayload, verifySignature };
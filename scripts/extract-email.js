@@ -0,0 +1,41 @@
+// Run the shipping email extractors over .eml files
+// Usage: node scripts/extract-email.js [file|dir ...] [--check]
+// Defaults to every message in fixtures/emails. Prints what each extractor found; with --check,
+// compares the results against fixtures/emails/expected.json and exits 1 on any difference.
+
+const fs = require('fs');
+const path = require('path');
+const { readEmail } = require('../lib/mail/mime');
+const { createEmailExtractor } = require('../lib/mail/extractors');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'emails');
+const FIELDS = ['extractor', 'orderId', 'trackingNumber', 'carrier', 'items', 'expectedDelivery', 'deliveryAddress'];
+
+const args = process.argv.slice(2);
+const check = args.includes('--check');
+const inputs = args.filter(a => !a.startsWith('--'));
+const files = (inputs.length ? inputs : [FIXTURES]).flatMap(p => (
+  fs.statSync(p).isDirectory() ? fs.readdirSync(p).filter(f => f.endsWith('.eml')).sort().map(f => path.join(p, f)) : [p]
+));
+const expected = check ? JSON.parse(fs.readFileSync(path.join(FIXTURES, 'expected.json'), 'utf8')) : {};
+const extractor = createEmailExtractor();
+
+for(const file of files){
+  const name = path.basename(file);
+  const mail = readEmail(fs.readFileSync(file));
+  const result = extractor.extract(mail);
+  if(!check){
+    console.log(`${name} → ${JSON.stringify(result, null, 2)}`);
+    continue;
+  }
+  const want = expected[name];
+  if(!want){ console.log(`${name} → no expectation, skipped`); continue; }
+  const diffs = FIELDS.filter(f => JSON.stringify(result[f]) !== JSON.stringify(want[f]));
+  if(diffs.length){
+    process.exitCode = 1;
+    console.error(`${name} → FAIL`);
+    diffs.forEach(f => console.error(`  ${f}: expected ${JSON.stringify(want[f])}, got ${JSON.stringify(result[f])}`));
+  }else{
+    console.log(`${name} → ok (${result.extractor}, confidence ${result.confidence})`);
+  }
+}
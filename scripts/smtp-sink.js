@@ -0,0 +1,66 @@
+// Local SMTP sink for testing the email outbox (accepts everything, delivers nothing)
+// Usage: node scripts/smtp-sink.js [port]   then run the server with
+//   EMAIL_HOST=127.0.0.1 EMAIL_PORT=2525 (no EMAIL_USER/EMAIL_PASS)
+// Prints sender, recipients and subject of every message.
+// FAIL_FIRST=n rejects the first n messages with a temporary error to exercise retries.
+
+const net = require('net');
+
+const port = Number(process.argv[2] || process.env.SMTP_SINK_PORT) || 2525;
+let failFirst = Number(process.env.FAIL_FIRST) || 0;
+let count = 0;
+
+net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let envelope = { from: '', to: [] };
+  let data = [];
+  const reply = (line) => socket.write(line + '\r\n');
+
+  function endMessage(){
+    inData = false;
+    const subject = (data.find(l => /^subject:/i.test(l)) || 'Subject: (none)').replace(/^subject:\s*/i, '');
+    if(failFirst > 0){
+      failFirst--;
+      console.log(`[sink] rejected (simulated) ${envelope.to.join(', ')}: ${subject}`);
+      reply('451 4.3.0 Simulated temporary failure');
+    }else{
+      count++;
+      console.log(`[sink] #${count} ${envelope.from} → ${envelope.to.join(', ')}: ${subject}`);
+      reply(`250 2.0.0 Ok: queued as sink-${count}`);
+    }
+    envelope = { from: '', to: [] };
+    data = [];
+  }
+
+  function handle(line){
+    if(inData){
+      if(line === '.') return endMessage();
+      data.push(line.startsWith('..') ? line.slice(1) : line);
+      return;
+    }
+    const cmd = line.slice(0, 4).toUpperCase();
+    if(cmd === 'EHLO') return reply('250-smtp-sink\r\n250 8BITMIME');
+    if(cmd === 'HELO') return reply('250 smtp-sink');
+    if(cmd === 'MAIL'){ envelope.from = (line.match(/<([^>]*)>/) || [])[1] || ''; return reply('250 2.1.0 Ok'); }
+    if(cmd === 'RCPT'){ envelope.to.push((line.match(/<([^>]*)>/) || [])[1] || ''); return reply('250 2.1.5 Ok'); }
+    if(cmd === 'DATA'){ inData = true; return reply('354 End data with <CR><LF>.<CR><LF>'); }
+    if(cmd === 'RSET'){ envelope = { from: '', to: [] }; data = []; return reply('250 2.0.0 Ok'); }
+    if(cmd === 'NOOP') return reply('250 2.0.0 Ok');
+    if(cmd === 'QUIT'){ reply('221 2.0.0 Bye'); return socket.end(); }
+    reply('502 5.5.2 Command not implemented');
+  }
+
+  reply('220 smtp-sink ESMTP');
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let i;
+    while((i = buffer.indexOf('\r\n')) !== -1){
+      const line = buffer.slice(0, i);
+      buffer = buffer.slice(i + 2);
+      handle(line);
+    }
+  });
+  socket.on('error', () => {});
+}).listen(port, '127.0.0.1', () => console.log(`SMTP sink listening on 127.0.0.1:${port}`));
@@ -0,0 +1,35 @@
+// Local webhook receiver for testing outbound webhooks
+// Usage: WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [port]
+// Prints every delivery and whether its signature checks out.
+// FAIL_FIRST=n answers the first n requests with 500 to exercise retries.
+
+const http = require('http');
+const { verifySignature } = require('../lib/webhooks');
+
+const port = Number(process.argv[2] || process.env.RECEIVER_PORT) || 4001;
+const secret = process.env.WEBHOOK_SECRET || '';
+let failFirst = Number(process.env.FAIL_FIRST) || 0;
+
+http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    const sig = req.headers['x-ordertracker-signature'];
+    const ts = req.headers['x-ordertracker-timestamp'];
+    const valid = secret ? verifySignature(secret, sig, ts, body) : null;
+    let payload = null;
+    try{ payload = JSON.parse(body); }catch{}
+    const d = (payload && payload.data) || {};
+    console.log(`[${new Date().toISOString()}] ${req.headers['x-ordertracker-event'] || req.method} ${req.headers['x-ordertracker-delivery'] || ''}`,
+      d.orderId ? `order ${d.orderId}${d.shipmentId ? '/' + d.shipmentId : ''}: ${d.from} → ${d.to}` : '',
+      valid === null ? '(signature not checked: set WEBHOOK_SECRET)' : valid ? 'signature OK' : 'SIGNATURE INVALID');
+    if(failFirst > 0){
+      failFirst--;
+      res.writeHead(500, { 'content-type': 'text/plain' });
+      return res.end('Simulated failure');
+    }
+    res.writeHead(valid === false ? 401 : 200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ ok: valid !== false }));
+  });
+}).listen(port, () => console.log(`Webhook receiver listening on http://localhost:${port}`));
@@ -3,11 +3,35 @@
 
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const express = require('express');
 const https = require('https');
 const cors = require('cors');
 const querystring = require('querystring');
 const nodemailer = require('nodemailer');
+const { createStore, genId } = require('./lib/store');
+const { buildSeed } = require('./lib/seed');
+const { createLifecycle, historyFor, deriveOrderStatus, canTransition, STATUSES } = require('./lib/lifecycle');
+const { validateOrderInput, validateShipmentInput } = require('./lib/orderInput');
+const { parseImportRecords, importOrders } = require('./lib/orderImport');
+const { toCSVRow } = require('./lib/csv');
+const { createReturns, RMA_LABELS } = require('./lib/returns');
+const { createSubscriptions } = require('./lib/subscriptions');
+const { createWebhooks, validateWebhookInput, publicWebhook } = require('./lib/webhooks');
+const { createOutbox } = require('./lib/outbox');
+const { createDigests, normalizeFrequency, FREQUENCIES } = require('./lib/digests');
+const { createSlaMonitor, parseSlaHours } = require('./lib/sla');
+const { createEtaEngine, parseServiceSpeeds, parseHolidays } = require('./lib/eta');
+const { createCarrierProvider } = require('./lib/carriers');
+const { recognizeTracking, normalizeTracking } = require('./lib/carriers/recognize');
+const { createCarrierInbound, parseAfterShipWebhook, verifyAfterShipSignature } = require('./lib/carriers/inbound');
+const { createShipmentWatcher } = require('./lib/carriers/watch');
+const { createGeocoder } = require('./lib/geo');
+const { densifyPath, greatCirclePath, routeProgress } = require('./lib/geo/route');
+const { createHubNetwork, loadHubNetwork, progressOnLegs } = require('./lib/geo/network');
+const { readEmail } = require('./lib/mail/mime');
+const { createEmailExtractor } = require('./lib/mail/extractors');
+const { EMAIL_TEMPLATES, createEmailRenderer, templateForStatus, escapeHtml } = require('./lib/emailTemplates');
 
 // Load environment variables from .env located in this folder, regardless of cwd
 let dotenvLoaded = false;
@@ -36,6 +60,18 @@ try {
 const app = express();
 const PORT = Number(process.env.PORT) || 3000;
 
+// Notification emails: templates in lib/emailTemplates.js, links built from PUBLIC_BASE_URL
+const emails = createEmailRenderer({
+  baseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`,
+  brand: {
+    name: process.env.BRAND_NAME,
+    color: process.env.BRAND_COLOR,
+    accentColor: process.env.BRAND_ACCENT_COLOR,
+    logoUrl: process.env.BRAND_LOGO_URL,
+    supportEmail: process.env.SUPPORT_EMAIL,
+  },
+});
+
 // Email transporter setup (nodemailer)
 let emailTransporter = null;
 const setupEmailTransporter = () => {
@@ -64,6 +100,13 @@ const setupEmailTransporter = () => {
       console.log('[Email] Transporter configured with user:', emailConfig.auth.user);
       return true;
     }
+    // Local SMTP sinks (scripts/smtp-sink.js, MailHog, ...) need no login
+    if (emailConfig.host && !process.env.EMAIL_USER && !process.env.EMAIL_PASS) {
+      delete emailConfig.auth;
+      emailTransporter = nodemailer.createTransport(emailConfig);
+      console.log('[Email] Transporter configured without auth:', `${emailConfig.host}:${emailConfig.port}`);
+      return true;
+    }
     return false;
   } catch (err) {
     console.error('[Email] Failed to setup transporter:', err.message);
@@ -71,18 +114,18 @@ const setupEmailTransporter = () => {
   }
 };
 
-const sendEmailNotification = async (to, subject, html) => {
-  if (!emailTransporter) {
-    console.log('[Email] Transporter not configured, skipping email to:', to);
-    return { success: false, reason: 'Email not configured' };
-  }
+// Hand one outbox message to SMTP (called by the outbox worker)
+const deliverEmail = async ({ to, subject, html, text, headers }) => {
+  if (!emailTransporter) return { success: false, reason: 'Email not configured' };
   
   try {
     const mailOptions = {
-      from: `"Order Tracker" <${process.env.EMAIL_USER}>`,
+      from: `"${emails.brand.name.replace(/["\\]/g, '')}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@localhost'}>`,
       to,
       subject,
-      html
+      html,
+      text: text || undefined,
+      headers: headers || undefined
     };
     
     // Add timeout to prevent hanging
@@ -103,6 +146,26 @@ const sendEmailNotification = async (to, subject, html) => {
   }
 };
 
+// Queue an email in the durable outbox (lib/outbox.js); the worker sends and retries it.
+// options.text: plain-text alternative; options.headers: extra MIME headers (e.g. List-Unsubscribe)
+const sendEmailNotification = async (to, subject, html, options = {}) => {
+  if (!emailTransporter) {
+    console.log('[Email] Transporter not configured, skipping email to:', to);
+    return { success: false, reason: 'Email not configured' };
+  }
+  const msg = outbox.enqueue({ to, subject, html, text: options.text, headers: options.headers, tag: options.tag });
+  return { success: true, queued: true, id: msg.id };
+};
+
+// Render a template from lib/emailTemplates.js and send it (HTML + plain text)
+const sendTemplatedEmail = (to, template, data, options = {}) => {
+  const { subject, html, text } = emails.render(template, data);
+  return sendEmailNotification(to, subject, html, { ...options, text, tag: options.tag || template });
+};
+
+// Link that opens the tracker on an order
+const trackUrl = (orderId) => emails.url(`/?orderId=${encodeURIComponent(orderId)}`);
+
 // Initialize email on startup
 const emailEnabled = setupEmailTransporter();
 
@@ -110,11 +173,29 @@ const emailEnabled = setupEmailTransporter();
 // Configure allowed origin via CORS_ORIGIN (default: '*')
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  methods: ['GET', 'POST', 'OPTIONS', 'HEAD'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'],
   credentials: false,
 }));
 
-app.use(express.json());
+// Inbound webhooks are signed over the exact bytes received, so keep them.
+// Email ingestion parses its own (larger) bodies, see emailBody below.
+const jsonBody = express.json({
+  verify: (req, _res, buf) => { if(req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf; },
+});
+app.use((req, res, next) => (req.path === '/api/ingest-email' ? next() : jsonBody(req, res, next)));
+
+// Admin routes: when ADMIN_TOKEN is set, require it as a Bearer token or x-admin-token header.
+// Without it the admin API stays open (demo mode).
+app.use('/api/admin', (req, res, next) => {
+  const token = process.env.ADMIN_TOKEN;
+  if(!token) return next();
+  const auth = String(req.headers.authorization || '');
+  const given = auth.startsWith('Bearer ') ? auth.slice(7).trim() : String(req.headers['x-admin-token'] || '');
+  // Compare fixed-length digests so the check takes the same time however much of the token matches
+  const digest = (v) => crypto.createHash('sha256').update(String(v)).digest();
+  if(given && crypto.timingSafeEqual(digest(given), digest(token))) return next();
+  return res.status(401).json({ error: 'Admin token required' });
+});
 
 // Static/UI: allow serving a different UI build via FRONTEND_DIR
 // FRONTEND_DIR can be an absolute or relative path (relative to this folder)
@@ -144,7 +225,7 @@ const APP_KNOWLEDGE = [
   '- Floating chat widget for questions and tracking help.',
   'Tracking sources:',
   '- Backend demo endpoint GET /api/track?orderId=ID (demo orders 1001–1004, O_ID_3000034).',
-  '- Optional carrier proxy GET /api/track-carrier?carrier=slug&tracking=number (requires AFTERSHIP_API_KEY).',
+  '- Optional carrier proxy GET /api/track-carrier?carrier=slug&tracking=number (requires AFTERSHIP_API_KEY, or CARRIER_PROVIDER=mock for offline data).',
   'Chat endpoints:',
   '- POST /api/chat (now AI-first when OPENAI_API_KEY is set) returns { reply, data? } where data mirrors tracking schema.',
   '- POST /api/chat-ai (direct AI Q&A).',
@@ -162,34 +243,127 @@ const statusMeta = {
   'In Transit': 70,
   'Out for Delivery': 85,
   Delivered: 100,
+  'Partially Shipped': 45,
+  'Partially Delivered': 90,
+  'Failed Attempt': 80,
+  Exception: 50,
+  RTO: 50,
   Canceled: 0,
   Returned: 0,
 };
 
-// Demo data for a few orders — replace with DB or external API lookups
-const demoOrders = {
-  '1001': { status: 'Processing', origin: [28.6139, 77.209], dest: [19.076, 72.8777], originName: 'Delhi', destName: 'Mumbai' },
-  '1002': { status: 'Shipped', origin: [12.9716, 77.5946], dest: [13.0827, 80.2707], originName: 'Bengaluru', destName: 'Chennai' },
-  '1003': { status: 'Out for Delivery', origin: [22.5726, 88.3639], dest: [22.5726, 88.3639], originName: 'Kolkata', destName: 'Kolkata' },
-  '1004': { status: 'Delivered', origin: [17.385, 78.4867], dest: [17.385, 78.4867], originName: 'Hyderabad', destName: 'Hyderabad' },
-  'O_ID_3000034': { status: 'Shipped', origin: [28.6139, 77.209], dest: [26.9124, 75.7873], originName: 'Delhi', destName: 'Jaipur' },
-};
+// Persistent store for orders, customers, subscriptions and RMAs.
+// DATA_DIR (default ./data) holds store.json; a fresh store is seeded with the demo orders.
+const dataDir = (() => {
+  const dir = process.env.DATA_DIR;
+  if (!dir) return path.join(__dirname, 'data');
+  return path.isAbsolute(dir) ? dir : path.join(__dirname, dir);
+})();
+const store = createStore({
+  file: path.join(dataDir, 'store.json'),
+  seed: () => buildSeed({ legacySubscriptionsFile: path.join(__dirname, 'subscriptions.json') }),
+});
+const orders = store.orders;
+
+// Outgoing emails wait in the store until the worker has sent them
+const outbox = createOutbox({
+  messages: store.outbox,
+  send: deliverEmail,
+  maxAttempts: Number(process.env.EMAIL_MAX_ATTEMPTS) || 5,
+  retryBaseMs: Number(process.env.EMAIL_RETRY_BASE_MS) || 30000,
+});
+outbox.start();
+
+// Delivery estimates (lib/eta.js): distance, service level speed, weekends/holidays and cutoff
+const etaEngine = createEtaEngine({
+  serviceLevels: parseServiceSpeeds(process.env.ETA_SPEEDS),
+  defaultServiceLevel: process.env.ETA_DEFAULT_SERVICE_LEVEL || 'standard',
+  holidays: parseHolidays(process.env.ETA_HOLIDAYS),
+  cutoffHour: process.env.ETA_CUTOFF_HOUR ? Number(process.env.ETA_CUTOFF_HOUR) : 14,
+});
 
-// Demo customers mapping to orders for history
-const demoCustomers = {
-  'alice@example.com': ['1002', '1004'],
-  'bob@example.com': ['1001'],
-  'cara@example.com': ['1003', 'O_ID_3000034'],
-};
+// When the order (or one package) entered its current status: the estimate counts from there
+function statusSince(rec, sh){
+  if(sh){
+    const h = Array.isArray(sh.history) ? sh.history : [];
+    return (h.length && h[h.length - 1].ts) || sh.createdAt || statusSince(rec);
+  }
+  const h = historyFor(rec);
+  return h[h.length - 1].ts || rec.createdAt || null;
+}
+
+// Order ETA; split orders wait for their slowest open package
+function orderEta(rec){
+  const whole = etaEngine.estimate({ status: rec.status, origin: rec.origin, dest: rec.dest, serviceLevel: rec.serviceLevel, since: statusSince(rec) });
+  if(!Array.isArray(rec.shipments) || !rec.shipments.length) return whole;
+  const open = rec.shipments
+    .map(sh => etaEngine.estimate({ status: sh.status, origin: sh.origin || rec.origin, dest: sh.dest || rec.dest, serviceLevel: rec.serviceLevel, since: statusSince(rec, sh) }))
+    .filter(e => e.etaISO);
+  if(!open.length) return whole;
+  const slowest = open.reduce((a, b) => (a.etaISO >= b.etaISO ? a : b));
+  return {
+    ...slowest,
+    window: {
+      earliestISO: open.map(e => e.window.earliestISO).sort().pop(),
+      latestISO: open.map(e => e.window.latestISO).sort().pop(),
+    },
+    confidence: Math.min(...open.map(e => e.confidence)),
+  };
+}
+
+// Hub network (lib/geo/network.js): planned orders travel in legs through warehouses and sort hubs.
+// HUB_NETWORK_FILE points at another network; HUB_NETWORK_FILE=none draws direct routes.
+const hubNetwork = (() => {
+  const file = process.env.HUB_NETWORK_FILE;
+  if(file === 'none') return null;
+  try{ return createHubNetwork(file ? loadHubNetwork(path.resolve(__dirname, file)) : undefined); }
+  catch(err){ console.error('[Network] Could not load', file, '-', err.message, '(using direct routes)'); return null; }
+})();
+
+// Legs for an order or one of its packages; carrier-tracked orders follow their checkpoints instead
+function legsFor(rec, sh){
+  if(!hubNetwork || !rec || rec.source === 'carrier') return [];
+  const origin = (sh && sh.origin) || rec.origin;
+  const dest = (sh && sh.dest) || rec.dest;
+  return hubNetwork.plan(origin, dest, { originName: (sh && sh.originName) || rec.originName, destName: (sh && sh.destName) || rec.destName });
+}
+
+// Facility a package is at in `status` (same progress-along-route model as the map)
+function facilityFor(rec, status, sh){
+  const legs = legsFor(rec, sh);
+  if(!legs.length) return null;
+  const total = legs.reduce((s, l) => s + l.km, 0);
+  return progressOnLegs(legs, total * (statusMeta[status] ?? 40) / 100).at.name;
+}
+
+// Every status change goes through the lifecycle state machine (lib/lifecycle.js);
+// events without an explicit location are labelled with the facility from the hub network
+const lifecycle = createLifecycle(orders, { locate: facilityFor });
 
-// Helper to build a coarse polyline between origin and dest
+// Great-circle path between origin and dest (lib/geo/route.js)
 function buildPolyline(origin, dest) {
   if (!Array.isArray(origin) || !Array.isArray(dest)) return null;
-  const [olat, olng] = origin;
-  const [dlat, dlng] = dest;
-  // 3-point poly with a midpoint bowed slightly
-  const mid = [(olat + dlat) / 2 + 0.5, (olng + dlng) / 2];
-  return [origin, mid, dest];
+  return densifyPath([origin, dest]);
+}
+
+// Route geometry for responses -> { polyline, distanceKm, travelledKm, remainingKm, current } or null,
+// plus { legs, activeLeg, facility } for routes planned through the hub network.
+// Planned routes place the truck by progress along the path, so map and progress bar agree;
+// a carrier checkpoint trail ends where the latest scan was, with the distance left unknown.
+function routeGeometry({ origin, dest, trail, legs, status, progress }){
+  if(Array.isArray(trail) && trail.length){
+    const geo = routeProgress(trail, 1);
+    const delivered = status === 'Delivered';
+    return { ...geo, distanceKm: delivered ? geo.distanceKm : null, remainingKm: delivered ? 0 : null };
+  }
+  if(Array.isArray(legs) && legs.length){
+    const stops = [legs[0].from, ...legs.map(l => l.to)].map(s => [s.lat, s.lng]);
+    const geo = routeProgress(stops, (progress || 0) / 100);
+    const journey = progressOnLegs(legs, geo.travelledKm);
+    return { ...geo, legs: journey.legs, activeLeg: journey.active, facility: journey.at };
+  }
+  if(Array.isArray(origin) && Array.isArray(dest)) return routeProgress([origin, dest], (progress || 0) / 100);
+  return null;
 }
 
 // API: GET /api/track?orderId=...
@@ -201,19 +375,36 @@ function normalizeOrderId(input){
   return String(input).trim();
 }
 
+// Per-package breakdown for multi-shipment orders
+function shipmentSummary(rec, sh){
+  const origin = sh.origin || rec.origin;
+  const dest = sh.dest || rec.dest;
+  const eta = etaEngine.estimate({ status: sh.status, origin, dest, serviceLevel: rec.serviceLevel, since: statusSince(rec, sh) });
+  return {
+    id: sh.id,
+    carrier: sh.carrier || null,
+    tracking: sh.tracking || null,
+    status: sh.status,
+    progress: statusMeta[sh.status] ?? 40,
+    etaISO: eta.etaISO,
+    etaWindow: eta.window,
+    route: {
+      origin: origin ? { lat: origin[0], lng: origin[1] } : undefined,
+      dest: dest ? { lat: dest[0], lng: dest[1] } : undefined,
+      originName: sh.originName || rec.originName,
+      destName: sh.destName || rec.destName,
+    },
+  };
+}
+
 function buildUnifiedResponse(rec){
   if(!rec) return null;
   const progress = statusMeta[rec.status] ?? 40;
-  const polyline = buildPolyline(rec.origin, rec.dest);
-  // Synthetic current position along the route based on progress
-  let current = undefined;
-  try{
-    if(Array.isArray(rec.origin) && Array.isArray(rec.dest)){
-      const [olat, olng] = rec.origin; const [dlat, dlng] = rec.dest;
-      const r = Math.max(0, Math.min(1, (progress||0)/100));
-      current = { lat: olat + (dlat-olat)*r, lng: olng + (dlng-olng)*r };
-    }
-  }catch{}
+  // Carrier-tracked orders keep the route their checkpoints describe
+  const trail = rec.source === 'carrier' && Array.isArray(rec.polyline) && rec.polyline.length ? rec.polyline : null;
+  const geo = routeGeometry({ origin: rec.origin, dest: rec.dest, trail, legs: trail ? null : legsFor(rec), status: rec.status, progress });
+  const polyline = geo ? geo.polyline : null;
+  const activeLeg = geo && geo.activeLeg != null ? geo.legs[geo.activeLeg] : null;
   return {
     // Back-compat fields
     status: rec.status,
@@ -226,10 +417,20 @@ function buildUnifiedResponse(rec){
       origin: rec.origin ? { lat: rec.origin[0], lng: rec.origin[1] } : undefined,
       dest: rec.dest ? { lat: rec.dest[0], lng: rec.dest[1] } : undefined,
       polyline: polyline || undefined,
-      current,
+      current: geo ? geo.current : undefined,
+      distanceKm: geo ? geo.distanceKm : undefined,
+      remainingKm: geo ? geo.remainingKm : undefined,
+      // Hub network: where the package is and the leg it is on (drawn highlighted)
+      facility: geo && geo.facility ? geo.facility.name : undefined,
+      activeLeg: activeLeg ? { index: activeLeg.index, polyline: greatCirclePath([activeLeg.from.lat, activeLeg.from.lng], [activeLeg.to.lat, activeLeg.to.lng]) } : undefined,
       originName: rec.originName,
       destName: rec.destName,
-    }
+      carrier: rec.source === 'carrier' ? rec.carrier : undefined,
+      tracking: rec.source === 'carrier' ? rec.tracking : undefined,
+    },
+    shipments: Array.isArray(rec.shipments) && rec.shipments.length ? rec.shipments.map(sh => shipmentSummary(rec, sh)) : undefined,
+    legs: geo && geo.legs ? geo.legs : undefined,
+    checkpoints: rec.source === 'carrier' ? carrierCheckpoints(rec.checkpoints) : undefined,
   };
 }
 
@@ -238,8 +439,7 @@ app.get('/api/track', (req, res) => {
   const orderId = normalizeOrderId(req.query.orderId || req.query.id || req.query.order_id);
   if (!orderId) return res.status(400).json({ error: 'orderId required' });
 
-  // Replace this lookup with your real source
-  const rec = demoOrders[orderId];
+  const rec = orders.get(orderId);
   if (!rec) return res.status(404).json({ error: 'Order not found' });
 
   res.json(buildUnifiedResponse(rec));
@@ -249,7 +449,7 @@ app.get('/api/track', (req, res) => {
 app.get('/api/track/:orderId', (req, res) => {
   const orderId = normalizeOrderId(req.params.orderId);
   if (!orderId) return res.status(400).json({ error: 'orderId required' });
-  const rec = demoOrders[orderId];
+  const rec = orders.get(orderId);
   if (!rec) return res.status(404).json({ error: 'Order not found' });
   res.json(buildUnifiedResponse(rec));
 });
@@ -264,110 +464,63 @@ app.post('/api/track', (req, res) => {
     if(token) orderId = token[0];
   }
   if (!orderId) return res.status(400).json({ error: 'orderId required' });
-  const rec = demoOrders[orderId];
+  const rec = orders.get(orderId);
   if (!rec) return res.status(404).json({ error: 'Order not found' });
   res.json(buildUnifiedResponse(rec));
 });
 
-// Map AfterShip tags to a friendly status and progress
-function mapAfterShipTag(tag){
-  const t = (tag || '').toString().toLowerCase();
-  if(['pending','info_received'].includes(t)) return { status: 'Processing', progress: 15 };
-  if(['intransit','in_transit'].includes(t)) return { status: 'In Transit', progress: 70 };
-  if(['outfordelivery','out_for_delivery'].includes(t)) return { status: 'Out for Delivery', progress: 85 };
-  if(['delivered'].includes(t)) return { status: 'Delivered', progress: 100 };
-  if(['exception','failed_attempt'].includes(t)) return { status: 'Exception', progress: 50 };
-  if(['expired','canceled'].includes(t)) return { status: 'Canceled', progress: 0 };
-  return { status: 'Shipped', progress: 50 };
-}
-
-// --- Geocoding helper (Nominatim) with simple file cache ---
-const geocodeCacheFile = path.join(__dirname, 'geocode-cache.json');
-function loadGeoCache(){ try{ return JSON.parse(fs.readFileSync(geocodeCacheFile,'utf8')); }catch{ return {}; } }
-function saveGeoCache(c){ try{ fs.writeFileSync(geocodeCacheFile, JSON.stringify(c, null, 2)); }catch{} }
-async function geocodePlace(query){
-  if(!query) return null;
-  const key = String(query).trim().toLowerCase();
-  const cache = loadGeoCache();
-  if(cache[key]) return cache[key];
-  return await new Promise((resolve) => {
-    const url = `/search?${querystring.stringify({ q: query, format: 'json', limit: 1 })}`;
-    const opt = { hostname: 'nominatim.openstreetmap.org', path: url, method: 'GET', headers: { 'User-Agent': 'order-tracker-demo/1.0' } };
-    const reqH = https.request(opt, (resp) => {
-      let data = '';
-      resp.on('data', d => data += d);
-      resp.on('end', () => {
-        try{
-          const arr = JSON.parse(data);
-          const hit = Array.isArray(arr) && arr[0] ? { lat: Number(arr[0].lat), lng: Number(arr[0].lon) } : null;
-          cache[key] = hit; saveGeoCache(cache); resolve(hit);
-        }catch{ resolve(null); }
-      });
-    });
-    reqH.on('error', () => resolve(null));
-    reqH.end();
-  });
-}
+// --- Geocoding (lib/geo): bundled gazetteer, optional throttled Nominatim fallback ---
+const geocoder = createGeocoder({
+  fallback: process.env.GEOCODE_FALLBACK,
+  cacheFile: path.join(dataDir, 'geocode-cache.json'),
+  legacyCacheFile: path.join(__dirname, 'geocode-cache.json'),
+  hitTtlMs: Number(process.env.GEOCODE_CACHE_TTL_DAYS) > 0 ? Number(process.env.GEOCODE_CACHE_TTL_DAYS) * 24 * 3600 * 1000 : undefined,
+  missTtlMs: Number(process.env.GEOCODE_MISS_TTL_HOURS) > 0 ? Number(process.env.GEOCODE_MISS_TTL_HOURS) * 3600 * 1000 : undefined,
+  ratePerSec: Number(process.env.NOMINATIM_RATE_PER_SEC) || undefined,
+  email: process.env.NOMINATIM_EMAIL || undefined,
+});
+const geocodePlace = (query) => geocoder.geocode(query);
+
+// Carrier tracking provider (lib/carriers): AfterShip, or the file-backed mock for offline work
+const carriers = createCarrierProvider({
+  provider: process.env.CARRIER_PROVIDER,
+  apiKey: process.env.AFTERSHIP_API_KEY,
+  mockFile: process.env.CARRIER_MOCK_FILE ? path.resolve(__dirname, process.env.CARRIER_MOCK_FILE) : undefined,
+  geocode: geocodePlace,
+  cache: {
+    activeTtlMs: Number(process.env.CARRIER_CACHE_TTL_MS) || undefined,
+    finalTtlMs: Number(process.env.CARRIER_CACHE_FINAL_TTL_MS) || undefined,
+  },
+  rateLimit: {
+    perSecond: Number(process.env.CARRIER_RATE_PER_SEC) || 5,
+    burst: Number(process.env.CARRIER_RATE_BURST) || 10,
+  },
+});
 
 // GET /api/track-carrier?carrier=slug&tracking=number
-// Uses AfterShip API if AFTERSHIP_API_KEY is set. Returns 501 if not configured.
-app.get('/api/track-carrier', (req, res) => {
+// Uses the configured carrier provider (lib/carriers). Returns 501 if none is configured.
+app.get('/api/track-carrier', async (req, res) => {
   const { carrier, tracking } = req.query;
   if(!carrier || !tracking){
     return res.status(400).json({ error: 'carrier and tracking are required' });
   }
-  const apiKey = process.env.AFTERSHIP_API_KEY;
-  if(!apiKey){
-    return res.status(501).json({ error: 'Tracking provider not configured on server (set AFTERSHIP_API_KEY)' });
+  if(!carriers){
+    return res.status(501).json({ error: 'Tracking provider not configured on server (set AFTERSHIP_API_KEY or CARRIER_PROVIDER=mock)' });
+  }
+  try{
+    const data = await carriers.track(carrier, tracking);
+    // Lightweight response compatible with frontend
+    const result = { status: data.status, progress: data.progress };
+    if(data.polyline && data.polyline.length >= 2) result.polyline = data.polyline;
+    return res.json(result);
+  }catch(err){
+    return res.status(err.status || 502).json({ error: err.message || 'Tracking provider request failed' });
   }
-
-  const options = {
-    hostname: 'api.aftership.com',
-    path: `/v4/trackings/${encodeURIComponent(carrier)}/${encodeURIComponent(tracking)}`,
-    method: 'GET',
-    headers: {
-      'aftership-api-key': apiKey,
-      'accept': 'application/json'
-    }
-  };
-
-  const reqHttps = https.request(options, (resp) => {
-    let data = '';
-    resp.on('data', chunk => data += chunk);
-    resp.on('end', () => {
-      try{
-        const json = JSON.parse(data);
-        if(json.meta && json.meta.code && json.meta.code !== 200){
-          return res.status(400).json({ error: json.meta.message || 'Tracking error' });
-        }
-        const tr = json.data && json.data.tracking ? json.data.tracking : null;
-        if(!tr){ return res.status(404).json({ error: 'Tracking not found' }); }
-        const tag = tr.tag || tr.subtag;
-        const mapped = mapAfterShipTag(tag);
-        // Build a lightweight response compatible with frontend
-        const result = {
-          status: mapped.status,
-          progress: mapped.progress,
-        };
-        // AfterShip usually lacks coordinates; if checkpoints have lat/lng, include a polyline
-        const cps = Array.isArray(tr.checkpoints) ? tr.checkpoints : [];
-        const pts = cps
-          .map(c => (c.latitude!=null && c.longitude!=null) ? [Number(c.latitude), Number(c.longitude)] : null)
-          .filter(Boolean);
-        if(pts.length >= 2){ result.polyline = pts; }
-        return res.json(result);
-      }catch(err){
-        return res.status(500).json({ error: 'Failed to parse provider response' });
-      }
-    });
-  });
-  reqHttps.on('error', () => res.status(502).json({ error: 'Tracking provider request failed' }));
-  reqHttps.end();
 });
 
-// Helper: build demo tracking response for an orderId
-function getDemoTracking(orderId){
-  const rec = demoOrders[orderId];
+// Helper: build tracking response for a stored orderId
+function getOrderTracking(orderId){
+  const rec = orders.get(orderId);
   if(!rec) return null;
   const progress = statusMeta[rec.status] ?? 40;
   const polyline = buildPolyline(rec.origin, rec.dest);
@@ -380,114 +533,33 @@ function getDemoTracking(orderId){
   };
 }
 
-// Helper: query AfterShip directly and map to our schema
-function fetchAfterShipTracking(carrier, tracking, apiKey){
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.aftership.com',
-      path: `/v4/trackings/${encodeURIComponent(carrier)}/${encodeURIComponent(tracking)}`,
-      method: 'GET',
-      headers: { 'aftership-api-key': apiKey, 'accept': 'application/json' }
-    };
-    const reqHttps = https.request(options, (resp) => {
-      let data = '';
-      resp.on('data', chunk => data += chunk);
-      resp.on('end', () => {
-        try{
-          const json = JSON.parse(data);
-          if(json.meta && json.meta.code && json.meta.code !== 200){
-            return reject(new Error(json.meta.message || 'Tracking error'));
-          }
-          const tr = json.data && json.data.tracking ? json.data.tracking : null;
-          if(!tr) return reject(new Error('Tracking not found'));
-          const tag = tr.tag || tr.subtag;
-          const mapped = mapAfterShipTag(tag);
-          const result = { status: mapped.status, progress: mapped.progress };
-          const cps = Array.isArray(tr.checkpoints) ? tr.checkpoints : [];
-          // Prefer explicit lat/lng from checkpoints
-          let pts = cps
-            .map(c => (c.latitude!=null && c.longitude!=null) ? [Number(c.latitude), Number(c.longitude)] : null)
-            .filter(Boolean);
-          // If none, try geocoding first/last locations
-          (async () => {
-            try{
-              if(pts.length < 2 && cps.length){
-                const first = cps[0];
-                const last = cps[cps.length-1];
-                const mkQuery = (c) => (c.location || [c.city, c.state, c.country_iso3 || c.country_iso2].filter(Boolean).join(', ')).trim();
-                const q1 = mkQuery(first);
-                const q2 = mkQuery(last);
-                const g1 = await geocodePlace(q1);
-                const g2 = await geocodePlace(q2);
-                if(g1 && g2){ pts = [[g1.lat,g1.lng],[g2.lat,g2.lng]]; }
-                else if(g2){ pts = [[g2.lat,g2.lng]]; }
-              }
-            }catch{}
-            if(pts && pts.length){ result.polyline = pts; }
-            resolve(result);
-          })();
-        }catch(err){ reject(new Error('Failed to parse provider response')); }
-      });
-    });
-    reqHttps.on('error', () => reject(new Error('Tracking provider request failed')));
-    reqHttps.end();
-  });
-}
-
-// Detect carriers for a tracking number using AfterShip
-function afterShipDetectCarriers(trackingNumber, apiKey){
-  return new Promise((resolve, reject) => {
-    const payload = JSON.stringify({ tracking: { tracking_number: String(trackingNumber) } });
-    const options = {
-      hostname: 'api.aftership.com',
-      path: '/v4/couriers/detect',
-      method: 'POST',
-      headers: {
-        'aftership-api-key': apiKey,
-        'accept': 'application/json',
-        'content-type': 'application/json',
-        'content-length': Buffer.byteLength(payload)
-      }
-    };
-    const reqHttps = https.request(options, (resp) => {
-      let data = '';
-      resp.on('data', chunk => data += chunk);
-      resp.on('end', () => {
-        try{
-          const json = JSON.parse(data);
-          if(json.meta && json.meta.code && json.meta.code !== 200){
-            return reject(new Error(json.meta.message || 'Detect carriers failed'));
-          }
-          const list = json.data && Array.isArray(json.data.couriers) ? json.data.couriers : [];
-          resolve(list.map(c => c.slug).filter(Boolean));
-        }catch(err){ reject(new Error('Failed to parse detect response')); }
-      });
-    });
-    reqHttps.on('error', () => reject(new Error('Detect carriers request failed')));
-    reqHttps.write(payload);
-    reqHttps.end();
-  });
+// Carrier checkpoints for clients: oldest first, coordinates null unless known or geocoded
+function carrierCheckpoints(list){
+  return (Array.isArray(list) ? list : []).map(c => ({ ts: c.ts, location: c.location, message: c.message, status: c.status, lat: c.lat ?? null, lng: c.lng ?? null }));
 }
 
-// Helper: unify an AfterShip tracking response to our unified shape
+// Helper: unify a carrier provider result to our unified shape
 function unifyCarrierResult(carrierSlug, trackingNumber, data){
   const status = data.status || 'In Transit';
   const progress = typeof data.progress === 'number' ? data.progress : (statusMeta[status] ?? 50);
   const pts = Array.isArray(data.polyline) ? data.polyline : [];
   const origin = pts.length ? pts[0] : undefined;
   const dest = pts.length ? pts[pts.length-1] : undefined;
-  const current = pts.length ? { lat: pts[pts.length-1][0], lng: pts[pts.length-1][1] } : undefined;
+  const geo = routeGeometry({ trail: pts, status });
   return {
     status, progress,
-    origin, dest, polyline: pts,
+    origin, dest, polyline: geo ? geo.polyline : [],
     route: {
       origin: origin ? { lat: origin[0], lng: origin[1] } : undefined,
       dest: dest ? { lat: dest[0], lng: dest[1] } : undefined,
-      polyline: pts.length ? pts : undefined,
-      current,
+      polyline: geo ? geo.polyline : undefined,
+      current: geo ? geo.current : undefined,
+      distanceKm: geo ? geo.distanceKm : undefined,
+      remainingKm: geo ? geo.remainingKm : undefined,
       carrier: carrierSlug,
       tracking: trackingNumber,
-    }
+    },
+    checkpoints: carrierCheckpoints(data.checkpoints),
   };
 }
 
@@ -498,25 +570,27 @@ app.post('/api/track-any', async (req, res) => {
     const raw = String((req.body && (req.body.query||req.body.q)) || '').trim();
     if(!raw) return res.status(400).json({ error: 'query required' });
 
-    // 1) Demo order
-    if(demoOrders[raw]){
-      return res.json(buildUnifiedResponse(demoOrders[raw]));
+    // 1) Stored order (including carrier shipments someone subscribed to)
+    const stored = orders.get(raw) || findCarrierOrder(raw);
+    if(stored){
+      return res.json(buildUnifiedResponse(stored));
     }
 
-    const apiKey = process.env.AFTERSHIP_API_KEY;
-    // Free-mode fallback: if no API key, provide official tracking links for common carriers
-    if(!apiKey){
-      const links = buildCarrierLinks(raw);
+    // Free-mode fallback: without a carrier provider, offer official tracking links for the recognized carriers
+    if(!carriers){
+      const colon0 = raw.indexOf(':');
+      const links = buildCarrierLinks(colon0 > 0 ? raw.slice(colon0 + 1) : raw);
       if(links.length){
         return res.json({
           status: 'Open in carrier site',
           progress: 0,
           route: undefined,
           links,
-          note: 'Provider API not configured; use an official tracking link below.'
+          suggested: links[0],
+          note: `Provider API not configured; looks like ${links[0].carrier} (${Math.round(links[0].confidence * 100)}% sure). Use an official tracking link below.`
         });
       }
-      return res.status(404).json({ error: 'No provider configured and no known link format for this code' });
+      return res.status(404).json({ error: 'No provider configured and no known tracking number format for this code' });
     }
 
     // 2) carrier:tracking pattern
@@ -526,63 +600,56 @@ app.post('/api/track-any', async (req, res) => {
       const tracking = raw.slice(colon+1).trim();
       if(!carrier || !tracking) return res.status(400).json({ error: 'Invalid carrier:tracking format' });
       try{
-        const data = await fetchAfterShipTracking(carrier, tracking, apiKey);
+        const data = await carriers.track(carrier, tracking);
         return res.json(unifyCarrierResult(carrier, tracking, data));
-      }catch(err){ return res.status(404).json({ error: err.message || 'Carrier tracking failed' }); }
+      }catch(err){ return res.status(err.status === 429 ? 429 : 404).json({ error: err.message || 'Carrier tracking failed' }); }
     }
 
-    // 3) Try auto-detect carriers for this tracking number
+    // 3) Recognized carriers first, then the provider's auto-detect
     try{
-      const slugs = await afterShipDetectCarriers(raw, apiKey);
-      for(const slug of slugs){
-        try{
-          const data = await fetchAfterShipTracking(slug, raw, apiKey);
-          return res.json(unifyCarrierResult(slug, raw, data));
-        }catch{ /* try next */ }
-      }
+      const found = await trackByNumber(raw);
+      if(found) return res.json(unifyCarrierResult(found.carrier, raw, found.data));
       return res.status(404).json({ error: 'No matching carrier found for this tracking number' });
     }catch(err){
-      return res.status(400).json({ error: err.message || 'Carrier detect failed' });
+      return res.status(err.status === 429 ? 429 : 400).json({ error: err.message || 'Carrier detect failed' });
     }
   }catch(err){
     return res.status(500).json({ error: 'track-any failed' });
   }
 });
 
-// Build a list of official tracking links for a code (best-effort, no API key needed)
+// Official tracking links for the carriers a code looks like (lib/carriers/recognize.js), best match first
 function buildCarrierLinks(code){
-  const c = String(code||'').trim();
-  const links = [];
-  const push = (carrier, url) => links.push({ carrier, url });
-  // Amazon Logistics (TBA...)
-  if(/^TBA[0-9A-Z]+$/i.test(c)){
-    push('Amazon Logistics', `https://track.amazon.in/?trackingId=${encodeURIComponent(c)}`);
-  }
-  // UPS (1Z...)
-  if(/^1Z[0-9A-Z]{16,18}$/i.test(c)){
-    push('UPS', `https://www.ups.com/track?loc=en_US&tracknum=${encodeURIComponent(c)}`);
-  }
-  // USPS (common ranges 20-22 digits)
-  if(/^\d{20,22}$/.test(c)){
-    push('USPS', `https://tools.usps.com/go/TrackConfirmAction?tLabels=${encodeURIComponent(c)}`);
+  return recognizeTracking(code)
+    .filter(m => m.url)
+    .map(m => ({ carrier: m.name, slug: m.carrier, url: m.url, confidence: m.confidence, checksum: m.checksum }));
+}
+
+// Track a bare number: try the carrier hint (e.g. named in an email), the carriers it is
+// recognized as, then the provider's detection.
+// -> { carrier, data } or null; rate limiting (429) is passed on
+async function trackByNumber(code, hint){
+  const tried = new Set();
+  const attempt = async (slug) => {
+    tried.add(slug);
+    try{ return { carrier: slug, data: await carriers.track(slug, code) }; }
+    catch(err){ if(err.status === 429) throw err; return null; }
+  };
+  if(hint){
+    const found = await attempt(hint);
+    if(found) return found;
   }
-  // FedEx (common 12/14/15/20/22 digits – heuristic)
-  if(/^(\d{12}|\d{14}|\d{15}|\d{20}|\d{22})$/.test(c)){
-    push('FedEx', `https://www.fedex.com/fedextrack/?trknbr=${encodeURIComponent(c)}`);
+  for(const m of recognizeTracking(code)){
+    if(m.checksum === 'invalid' || tried.has(m.carrier)) continue;
+    const found = await attempt(m.carrier);
+    if(found) return found;
   }
-  // DHL
-  if(/^[0-9A-Z]{10,22}$/.test(c)){
-    push('DHL', `https://www.dhl.com/global-en/home/tracking/tracking-express.html?tracking-id=${encodeURIComponent(c)}`);
+  for(const slug of await carriers.detect(code)){
+    if(tried.has(slug)) continue;
+    const found = await attempt(slug);
+    if(found) return found;
   }
-  // India carriers (best-effort)
-  push('Delhivery', `https://www.delhivery.com/track/package/${encodeURIComponent(c)}/`);
-  push('Blue Dart', `https://www.bluedart.com/trackdartresult?trackFor=0&trackInput=${encodeURIComponent(c)}`);
-  push('XpressBees', `https://www.xpressbees.com/track?awb=${encodeURIComponent(c)}`);
-  push('DTDC', `https://www.dtdc.com/track/shipment-tracking.asp?cnNo=${encodeURIComponent(c)}`);
-  push('Ecom Express', `https://ecomexpress.in/tracking/?awb_field=${encodeURIComponent(c)}`);
-  // Ekart (Flipkart) – public page often requires form; provide homepage for manual entry
-  push('Ekart (Flipkart)', `https://www.ekartlogistics.com/`);
-  return links;
+  return null;
 }
 
 // Helper: call OpenAI Chat Completions API
@@ -660,9 +727,9 @@ app.post('/api/chat-ai', async (req, res) => {
         if(colonIdx0 > 0){
           const carrier0 = msg.slice(0, colonIdx0).trim().toLowerCase();
           const tracking0 = msg.slice(colonIdx0+1).trim();
-          if(carrier0 && tracking0 && process.env.AFTERSHIP_API_KEY){
+          if(carrier0 && tracking0 && carriers){
             try{
-              const tdata = await fetchAfterShipTracking(carrier0, tracking0, process.env.AFTERSHIP_API_KEY);
+              const tdata = await carriers.track(carrier0, tracking0);
               data = tdata;
               ctx.push(`Carrier ${carrier0} ${tracking0}: ${tdata.status}${typeof tdata.progress==='number'?` (${tdata.progress}%)`:''}`);
             }catch(e){ ctx.push(`Carrier lookup failed: ${e.message}`); }
@@ -671,8 +738,8 @@ app.post('/api/chat-ai', async (req, res) => {
         // Try order id from demo
         const tokenAI = msg.match(/[A-Za-z]*\d[A-Za-z0-9_\-]*/g) || [];
         const orderIdAI = tokenAI[0];
-        if(orderIdAI && demoOrders[orderIdAI]){
-          const d = getDemoTracking(orderIdAI);
+        if(orderIdAI && orders.has(orderIdAI)){
+          const d = getOrderTracking(orderIdAI);
           data = d;
           ctx.push(`Order ${orderIdAI}: ${d.status}${typeof d.progress==='number'?` (${d.progress}%)`:''}`);
         }
@@ -702,9 +769,9 @@ app.post('/api/chat-ai', async (req, res) => {
     const digitTokens = msg.match(/[A-Za-z]*\d[A-Za-z0-9_\-]*/g) || [];
     const orderId = digitTokens[0];
     let orderContext = '';
-    if(orderId && demoOrders[orderId]){
-      const rec = demoOrders[orderId];
-      orderContext = `\nKnown order in demo data: ${orderId} -> status: ${rec.status}.`;
+    const rec = orderId ? orders.get(orderId) : null;
+    if(rec){
+      orderContext = `\nKnown order: ${orderId} -> status: ${rec.status}.`;
     }
 
   const system = `You are a concise, helpful assistant for an e-commerce order tracking app.\n`
@@ -745,9 +812,9 @@ app.post('/api/chat', async (req, res) => {
         if(colonIdx0 > 0){
           const carrier0 = msg.slice(0, colonIdx0).trim().toLowerCase();
           const tracking0 = msg.slice(colonIdx0+1).trim();
-          if(carrier0 && tracking0 && process.env.AFTERSHIP_API_KEY){
+          if(carrier0 && tracking0 && carriers){
             try{
-              const tdata = await fetchAfterShipTracking(carrier0, tracking0, process.env.AFTERSHIP_API_KEY);
+              const tdata = await carriers.track(carrier0, tracking0);
               data = tdata;
               ctx.push(`Carrier ${carrier0} ${tracking0}: ${tdata.status}${typeof tdata.progress==='number'?` (${tdata.progress}%)`:''}`);
             }catch(e){ ctx.push(`Carrier lookup failed: ${e.message}`); }
@@ -756,8 +823,8 @@ app.post('/api/chat', async (req, res) => {
         // Try order id from demo
         const tokenAI = msg.match(/[A-Za-z]*\d[A-Za-z0-9_\-]*/g) || [];
         const orderIdAI = tokenAI[0];
-        if(orderIdAI && demoOrders[orderIdAI]){
-          const d = getDemoTracking(orderIdAI);
+        if(orderIdAI && orders.has(orderIdAI)){
+          const d = getOrderTracking(orderIdAI);
           data = d;
           ctx.push(`Order ${orderIdAI}: ${d.status}${typeof d.progress==='number'?` (${d.progress}%)`:''}`);
         }
@@ -787,8 +854,8 @@ app.post('/api/chat', async (req, res) => {
       // Try to pull an order id and include status if known
       const digitTokens = msg.match(/[A-Za-z]*\d[A-Za-z0-9_\-]*/g) || [];
       const orderId = digitTokens[0];
-      if(orderId && demoOrders[orderId]){
-        const data = getDemoTracking(orderId);
+      if(orderId && orders.has(orderId)){
+        const data = getOrderTracking(orderId);
         const status = data.status || 'In Transit';
         const reply = `I can help with your order ${orderId}. Current status: ${status}.\n`+
                       `- To refresh status, reply: track ${orderId}.\n`+
@@ -833,13 +900,12 @@ app.post('/api/chat', async (req, res) => {
       const carrier = msg.slice(0, colonIdx).trim().toLowerCase();
       const tracking = msg.slice(colonIdx+1).trim();
       if(carrier && tracking){
-        const apiKey = process.env.AFTERSHIP_API_KEY;
-        if(!apiKey){
+        if(!carriers){
           console.log('[chat] route=carrier-unconfigured');
           return res.json({ reply: 'Carrier tracking is not configured on the server yet. Please track by Order ID (e.g., 1002), or ask your admin to set AFTERSHIP_API_KEY.', meta: { route: 'carrier-unconfigured' } });
         }
         try{
-          const data = await fetchAfterShipTracking(carrier, tracking, apiKey);
+          const data = await carriers.track(carrier, tracking);
           const status = data.status || 'In Transit';
           console.log(`[chat] route=carrier status=${status}`);
           return res.json({ reply: `Status: ${status}${typeof data.progress==='number'?` (${data.progress}%)`:''}.`, data, meta: { route: 'carrier' } });
@@ -856,7 +922,7 @@ app.post('/api/chat', async (req, res) => {
     const candidates = digitTokens2.filter(t => !stop.has(t.toLowerCase()));
     const orderId = candidates.length ? candidates[0] : null;
     if(orderId){
-      const data = getDemoTracking(orderId);
+      const data = getOrderTracking(orderId);
       if(!data){
         console.log(`[chat] route=order-not-found orderId=${orderId}`);
         return res.json({ reply: `I couldn't find order ${orderId} in the demo data. Try one like 1002 or O_ID_3000034.`, meta: { route: 'order-not-found', orderId } });
@@ -903,40 +969,104 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
-// --- Email ingestion: extract tracking numbers from raw email text ---
-function extractCandidatesFromText(text){
-  if(!text) return [];
-  const tokens = new Set();
-  // Generic alphanumeric codes length 8-30
-  const alnum = text.match(/[A-Z0-9][A-Z0-9\-]{7,29}/gi) || [];
-  for(const t of alnum){ tokens.add(t.replace(/\s+/g,'').trim()); }
-  // Long digit-only sequences (8-20)
-  const digits = text.match(/\b\d{8,20}\b/g) || [];
-  for(const t of digits){ tokens.add(t.trim()); }
-  return Array.from(tokens).slice(0, 20);
+// Stored carrier-tracked order for "tracking" or "carrier:tracking"
+function findCarrierOrder(query){
+  const colon = String(query).indexOf(':');
+  const carrier = colon > 0 ? query.slice(0, colon).trim().toLowerCase() : null;
+  const tracking = normalizeTracking(colon > 0 ? query.slice(colon + 1) : query);
+  if(!tracking) return null;
+  return orders.find(o => o.source === 'carrier' && o.tracking === tracking && (!carrier || o.carrier === carrier))[0] || null;
+}
+
+// Resolve a tracking query like track-any does and store it as an order (id = tracking number)
+async function createCarrierOrder(query){
+  const colon = query.indexOf(':');
+  const tracking = normalizeTracking(colon > 0 ? query.slice(colon + 1) : query);
+  const slug = colon > 0 ? query.slice(0, colon).trim().toLowerCase() : null;
+  const found = slug
+    ? { carrier: slug, data: await carriers.track(slug, tracking) }
+    : await trackByNumber(tracking);
+  if(!found) throw Object.assign(new Error('No matching carrier found for this tracking number'), { status: 404 });
+  if(orders.has(tracking)) throw Object.assign(new Error(`Order ${tracking} already exists`), { status: 409 });
+  const unified = unifyCarrierResult(found.carrier, tracking, found.data);
+  const cps = found.data.checkpoints || [];
+  return createOrder(tracking, {
+    source: 'carrier',
+    carrier: found.carrier,
+    tracking,
+    status: found.data.status,
+    origin: unified.origin,
+    dest: unified.dest,
+    polyline: unified.polyline,
+    checkpoints: cps,
+    originName: cps.length ? cps[0].location : null,
+  }, { actor: 'carrier', note: `Tracking ${found.carrier} ${tracking}` });
+}
+
+// --- Email ingestion: find tracking numbers in raw email text ---
+// The sender's extractor (lib/mail/extractors) pulls out the order id, tracking number, carrier,
+// items, delivery date and address; its tracking number leads the candidates, then whatever else
+// the offline recognizer finds (minus order ids, phone numbers and pincodes). With a provider the
+// best candidate that tracks is selected, otherwise the most likely carrier is suggested.
+const emailExtractor = createEmailExtractor();
+
+function emailCandidate(c){
+  return { code: c.code, carriers: c.matches.map(m => m.carrier), matches: c.matches.map(m => ({ carrier: m.carrier, name: m.name, confidence: m.confidence, checksum: m.checksum })) };
+}
+
+function suggestionFor(c){
+  const best = c.matches[0];
+  return { tracking: c.code, carrier: best.carrier, name: best.name, confidence: best.confidence, url: best.url };
+}
+
+function emailSummary(mail){
+  return { subject: mail.subject, from: mail.from, date: mail.date, attachments: mail.attachments.length };
+}
+
+// Body parsers for email ingestion, with body errors (too large, bad JSON) answered as JSON
+const EMAIL_BODY_LIMIT = process.env.EMAIL_INGEST_LIMIT || '2mb';
+const emailJson = express.json({ limit: EMAIL_BODY_LIMIT });
+const emailRaw = express.raw({ type: ['message/rfc822', 'application/octet-stream'], limit: EMAIL_BODY_LIMIT });
+function emailBody(req, res, next){
+  const done = (err) => {
+    if(!err) return next();
+    if(err.type === 'entity.too.large') return res.status(413).json({ error: `email too large (max ${EMAIL_BODY_LIMIT})` });
+    return res.status(400).json({ error: 'could not read email body' });
+  };
+  emailJson(req, res, (err) => (err ? done(err) : emailRaw(req, res, done)));
 }
 
-app.post('/api/ingest-email', async (req, res) => {
-  const raw = String((req.body && (req.body.raw || req.body.text || req.body.html)) || '').trim();
-  if(!raw) return res.status(400).json({ error: 'raw email text required' });
-  const apiKey = process.env.AFTERSHIP_API_KEY;
-  const candidates = extractCandidatesFromText(raw);
-  const results = [];
-  for(const code of candidates){
-    if(!apiKey) { results.push({ code, carriers: [], ok:false }); continue; }
+// The email arrives as JSON ({ raw }: pasted text/HTML or a whole .eml) or as the raw bytes of
+// an .eml upload (Content-Type: message/rfc822), which keeps non-UTF-8 messages intact.
+app.post('/api/ingest-email', emailBody, async (req, res) => {
+  const raw = Buffer.isBuffer(req.body) ? req.body : String((req.body && (req.body.raw || req.body.text || req.body.html)) || '');
+  if(!raw.toString().trim()) return res.status(400).json({ error: 'raw email text required' });
+  let mail, extraction, found;
+  try{
+    mail = readEmail(raw);
+    extraction = emailExtractor.extract(mail);
+    found = emailExtractor.candidates(mail, extraction);
+  }catch(err){
+    console.warn('[Email] Could not parse email:', err.message);
+    return res.status(422).json({ error: 'could not parse email', candidates: [] });
+  }
+  const email = emailSummary(mail);
+  const results = found.map(emailCandidate);
+  if(!found.length) return res.status(404).json({ error: 'no tracking number found in email', email, extraction, candidates: [] });
+  if(!carriers) return res.json({ email, extraction, candidates: results, suggested: suggestionFor(found[0]) });
+  for(const c of found){
     try{
-      const slugs = await afterShipDetectCarriers(code, apiKey);
-      results.push({ code, carriers: slugs, ok: slugs.length>0 });
-      for(const slug of slugs){
-        try{
-          const data = await fetchAfterShipTracking(slug, code, apiKey);
-          const unified = unifyCarrierResult(slug, code, data);
-          return res.json({ candidates: results, selected: { ...unified, tracking: code, carrier: slug } });
-        }catch{ /* try next slug */ }
+      const hit = await trackByNumber(c.code, c.matches[0].carrier);
+      if(hit){
+        const unified = unifyCarrierResult(hit.carrier, c.code, hit.data);
+        return res.json({ email, extraction, candidates: results, selected: { ...unified, tracking: c.code, carrier: hit.carrier } });
       }
-    }catch{ results.push({ code, error: 'detect failed' }); }
+    }catch(err){
+      if(err.status === 429) return res.status(429).json({ error: err.message, email, extraction, candidates: results });
+      /* provider trouble: try the next candidate */
+    }
   }
-  return res.status(404).json({ error: 'no tracking found in email', candidates: results });
+  return res.status(404).json({ error: 'no trackable shipment found in email', email, extraction, candidates: results, suggested: suggestionFor(found[0]) });
 });
 
 // --- Gmail scan (optional) ---
@@ -962,10 +1092,11 @@ async function gmailListRecentIds(token){
   });
 }
 
-async function gmailGetMessageText(token, id){
+// format=raw is the whole RFC 822 message (base64url), parsed like an uploaded .eml
+async function gmailGetMessage(token, id){
   return await new Promise((resolve, reject) => {
-    const opt = { hostname: 'gmail.googleapis.com', path: `/gmail/v1/users/me/messages/${id}?format=full`, method: 'GET', headers: { Authorization: `Bearer ${token}` } };
-    const reqH = https.request(opt, (resp) => { let data=''; resp.on('data', d=> data+=d); resp.on('end', ()=>{ try{ const j = JSON.parse(data); const parts = j.payload && j.payload.parts ? j.payload.parts : [j.payload]; const decode = (b64)=> Buffer.from((b64||'').replace(/-/g,'+').replace(/_/g,'/'), 'base64').toString('utf8'); let text=''; for(const p of parts||[]){ if(p.mimeType==='text/plain' && p.body && p.body.data){ text += decode(p.body.data)+'\n'; } if(p.mimeType==='text/html' && p.body && p.body.data){ text += decode(p.body.data).replace(/<[^>]+>/g,' ')+'\n'; } } resolve(text); }catch(e){ reject(e); } }); });
+    const opt = { hostname: 'gmail.googleapis.com', path: `/gmail/v1/users/me/messages/${id}?format=raw`, method: 'GET', headers: { Authorization: `Bearer ${token}` } };
+    const reqH = https.request(opt, (resp) => { let data=''; resp.on('data', d=> data+=d); resp.on('end', ()=>{ try{ const j = JSON.parse(data); if(!j.raw) throw new Error('message has no raw body'); resolve(readEmail(Buffer.from(j.raw, 'base64url'))); }catch(e){ reject(e); } }); });
     reqH.on('error', reject); reqH.end();
   });
 }
@@ -974,19 +1105,18 @@ app.get('/api/gmail/scan', async (_req, res) => {
   try{
     const token = await getGoogleAccessToken();
     const ids = await gmailListRecentIds(token);
-    const apiKey = process.env.AFTERSHIP_API_KEY;
     for(const id of ids){
       try{
-        const text = await gmailGetMessageText(token, id);
-        const cands = extractCandidatesFromText(text);
-        for(const code of cands){
-          const slugs = apiKey ? await afterShipDetectCarriers(code, apiKey) : [];
-          for(const slug of slugs){
-            try{
-              const data = await fetchAfterShipTracking(slug, code, apiKey);
-              const unified = unifyCarrierResult(slug, code, data);
-              return res.json({ id, selected: { ...unified, tracking: code, carrier: slug }, candidates: cands });
-            }catch{ /* try next */ }
+        const mail = await gmailGetMessage(token, id);
+        const extraction = emailExtractor.extract(mail);
+        const found = emailExtractor.candidates(mail, extraction);
+        const cands = found.map(c => c.code);
+        if(found.length && !carriers) return res.json({ id, email: emailSummary(mail), extraction, suggested: suggestionFor(found[0]), candidates: cands });
+        for(const c of found){
+          const hit = await trackByNumber(c.code, c.matches[0].carrier);
+          if(hit){
+            const unified = unifyCarrierResult(hit.carrier, c.code, hit.data);
+            return res.json({ id, email: emailSummary(mail), extraction, selected: { ...unified, tracking: c.code, carrier: hit.carrier }, candidates: cands });
           }
         }
       }catch{ /* next message */ }
@@ -1000,13 +1130,14 @@ app.get('/api/gmail/scan', async (_req, res) => {
 // Lightweight server config for the frontend to bootstrap capabilities
 app.get('/api/config', (_req, res) => {
   const hasAI = !!process.env.OPENAI_API_KEY;
-  const hasAfterShip = !!process.env.AFTERSHIP_API_KEY;
   const hasGmail = !!(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET && process.env.GOOGLE_REFRESH_TOKEN);
   res.json({
     ai: { enabled: hasAI, model: process.env.OPENAI_MODEL || 'gpt-4o-mini' },
-    carrier: { enabled: hasAfterShip },
+    carrier: { enabled: !!carriers, provider: carriers ? carriers.name : null, ...(carriers ? carriers.stats() : {}) },
+    geocoder: geocoder.stats(),
     map: { mode: 'leaflet', googleMapsSupported: !!process.env.GMAPS_API_KEY },
     email: { pasteImport: true, gmailScan: hasGmail },
+    admin: { tokenRequired: !!process.env.ADMIN_TOKEN },
     features: {
       orders: true,
       eta: true,
@@ -1015,6 +1146,7 @@ app.get('/api/config', (_req, res) => {
       analytics: true,
       search: true,
       sse: true,
+      webhooks: true,
     },
     version: 'v2'
   });
@@ -1025,126 +1157,248 @@ app.get('/api/orders', (req, res) => {
   const email = String(req.query.email || '').trim().toLowerCase();
   if(!email) return res.status(400).json({ error: 'email required' });
   
-  // Check subscriptions.json for user's subscribed orders
-  let subscribedIds = [];
-  try {
-    const file = path.join(__dirname, 'subscriptions.json');
-    const subs = JSON.parse(fs.readFileSync(file, 'utf-8'));
-    subscribedIds = subs
-      .filter(s => s.email.toLowerCase() === email)
-      .map(s => s.orderId);
-  } catch {}
+  // Orders the user subscribed to
+  const subscribedIds = subscriptions.byEmail(email).map(s => s.orderId);
   
-  // Combine with demo customers if exists
-  const demoIds = demoCustomers[email] || [];
-  const allIds = [...new Set([...subscribedIds, ...demoIds])]; // unique order IDs
+  // Combine with the customer's own orders if known
+  const customer = store.customers.get(email);
+  const customerIds = customer ? customer.orderIds || [] : [];
+  const allIds = [...new Set([...subscribedIds, ...customerIds])]; // unique order IDs
   
-  const list = allIds.map(id => ({ id, ...(getDemoTracking(id) || { status: 'Unknown', progress: 0 }) }));
+  const list = allIds.map(id => ({ id, ...(getOrderTracking(id) || { status: 'Unknown', progress: 0 }) }));
   res.json({ email, orders: list });
 });
 
 // Order details: GET /api/orders/:orderId
 app.get('/api/orders/:orderId', (req, res) => {
   const id = String(req.params.orderId || '').trim();
-  const rec = demoOrders[id];
+  const rec = orders.get(id);
   if(!rec) return res.status(404).json({ error: 'Order not found' });
   const unified = buildUnifiedResponse(rec);
-  // Simple synthetic timeline
-  const tl = [
-    { label: 'Order Placed', ts: daysAgo(4) },
-    { label: 'Packed', ts: daysAgo(3) },
-    { label: 'Shipped', ts: daysAgo(2) },
-    { label: unified.status, ts: daysAgo( unified.status==='Delivered' ? 0 : 1 ) },
-  ];
-  res.json({ id, ...unified, timeline: tl });
+  // Timeline is the recorded status history (label/ts kept for older UIs)
+  const tl = historyFor(rec).map(e => ({
+    label: e.status,
+    status: e.status,
+    ts: e.ts,
+    location: e.location || null,
+    actor: e.actor || null,
+    note: e.note || null,
+  }));
+  // Packages carry their own history
+  if(unified.shipments){
+    unified.shipments = unified.shipments.map(sh => {
+      const src = rec.shipments.find(x => x.id === sh.id) || {};
+      return { ...sh, timeline: (src.history || []).map(e => ({ label: e.status, status: e.status, ts: e.ts, location: e.location || null, actor: e.actor || null, note: e.note || null })) };
+    });
+  }
+  res.json({ id, ...unified, timeline: tl, sla: sla.check(rec) });
 });
 
 // ETA: GET /api/eta/:orderId
 app.get('/api/eta/:orderId', (req, res) => {
   const id = String(req.params.orderId || '').trim();
-  const rec = demoOrders[id];
+  const rec = orders.get(id);
   if(!rec) return res.status(404).json({ error: 'Order not found' });
-  const eta = estimateETA(rec.status);
-  res.json({ id, status: rec.status, etaISO: eta.toISOString(), etaDays: daysUntil(eta), note: etaNote(rec.status) });
+  const eta = orderEta(rec);
+  const check = sla.check(rec);
+  // Delivered orders report when they arrived
+  const deliveredAt = rec.status === 'Delivered' ? (historyFor(rec).filter(e => e.status === 'Delivered').pop() || {}).ts || null : null;
+  const etaISO = eta.etaISO || deliveredAt;
+  res.json({
+    id,
+    status: rec.status,
+    etaISO,
+    etaDays: etaISO ? Math.max(0, daysUntil(etaISO)) : null,
+    window: eta.window,
+    confidence: eta.confidence,
+    serviceLevel: eta.serviceLevel,
+    distanceKm: eta.distanceKm,
+    businessDays: eta.businessDays,
+    basis: eta.basis,
+    note: etaNote(rec.status),
+    delayed: check.delayed,
+    promisedBy: check.promisedBy,
+  });
 });
 
-// Returns: POST /api/returns { orderId, reason, type }
-// type: 'return' | 'replace'
+// Returns/replacements (RMA) — stored, with eligibility checks and an email per step
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 7;
+const returns = createReturns({
+  rmas: store.rmas,
+  orders,
+  customers: store.customers,
+  lifecycle,
+  windowDays: RETURN_WINDOW_DAYS,
+  notify: (rma, order) => {
+    sendTemplatedEmail(rma.email, 'rma_update', { rma, order, label: RMA_LABELS[rma.status], trackUrl: trackUrl(rma.orderId) })
+      .catch(err => console.error('[Returns] Email failed:', err.message));
+  },
+});
+
+// POST /api/returns { orderId, reason, type: 'return'|'replace', email?, shipmentId? }
 app.post('/api/returns', (req, res) => {
-  const { orderId, reason, type } = req.body || {};
+  const { orderId, reason, type, email, shipmentId } = req.body || {};
   const id = normalizeOrderId(orderId);
   if(!id) return res.status(400).json({ error: 'orderId required' });
-  if(!demoOrders[id]) return res.status(404).json({ error: 'Order not found' });
-  const t = (type||'return').toString().toLowerCase();
-  if(!['return','replace'].includes(t)) return res.status(400).json({ error: 'type must be return or replace' });
-  const rma = `RMA-${Date.now().toString(36).toUpperCase()}`;
-  const policy = 'Items must be unused with original packaging within 7 days of delivery.';
-  res.json({ rma, status: 'initiated', type: t, orderId: id, policy, reason: reason || '' });
+  try{
+    const rma = returns.create({ orderId: id, shipmentId: shipmentId ? String(shipmentId) : null, type, reason, email });
+    res.status(201).json({ rma: rma.id, ...rma, policy: returns.policy });
+  }catch(err){
+    res.status(err.status || 500).json({ error: err.message, reasons: err.reasons, policy: returns.policy });
+  }
+});
+
+// GET /api/returns/eligibility?orderId=...&shipmentId=...
+app.get('/api/returns/eligibility', (req, res) => {
+  const id = normalizeOrderId(req.query.orderId);
+  const rec = id ? orders.get(id) : null;
+  if(!rec) return res.status(404).json({ error: 'Order not found' });
+  const shipmentId = req.query.shipmentId ? String(req.query.shipmentId) : null;
+  res.json({ orderId: id, shipmentId, ...returns.checkEligibility(rec, { shipmentId }), policy: returns.policy });
+});
+
+// GET /api/returns?orderId=... or ?email=...
+app.get('/api/returns', (req, res) => {
+  const id = normalizeOrderId(req.query.orderId);
+  const email = String(req.query.email || '').trim().toLowerCase();
+  if(!id && !email) return res.status(400).json({ error: 'orderId or email required' });
+  const list = id ? returns.byOrder(id) : returns.byEmail(email);
+  res.json({ returns: email && id ? list.filter(r => r.email === email) : list });
+});
+
+// GET /api/returns/:rmaId
+app.get('/api/returns/:rmaId', (req, res) => {
+  const rma = returns.get(String(req.params.rmaId || '').trim());
+  if(!rma) return res.status(404).json({ error: 'Return not found' });
+  res.json(rma);
+});
+
+// GET /api/admin/returns?status=requested
+app.get('/api/admin/returns', (req, res) => {
+  res.json({ returns: returns.list(req.query.status ? String(req.query.status) : null) });
+});
+
+// POST /api/admin/returns/:rmaId/status { status, note?, pickupDate? }
+app.post('/api/admin/returns/:rmaId/status', (req, res) => {
+  const { status, note, pickupDate } = req.body || {};
+  if(!status) return res.status(400).json({ error: 'status required' });
+  try{
+    const rma = returns.transition(String(req.params.rmaId || '').trim(), status, {
+      actor: 'admin',
+      note: note ? String(note).slice(0, 500) : null,
+      pickupDate,
+    });
+    res.json(rma);
+  }catch(err){
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// GET /api/admin/emails/preview/:template?orderId=1001&format=html|text
+// Renders a notification template with a stored order (and its latest RMA for rma_update).
+app.get('/api/admin/emails/preview/:template', (req, res) => {
+  const order = orders.get(normalizeOrderId(req.query.orderId) || '1001');
+  if(!order) return res.status(404).json({ error: 'Order not found' });
+  const rma = returns.byOrder(order.id).pop() || { id: 'RMA-PREVIEW', orderId: order.id, type: 'return', status: 'requested', history: [] };
+  const last = historyFor(order).slice(-1)[0] || {};
+  try{
+    const out = emails.render(req.params.template, {
+      order, rma, label: RMA_LABELS[rma.status],
+      from: last.from || null, to: order.status, event: last,
+      confirmUrl: emails.url('/api/subscriptions/confirm?token=preview'),
+      unsubscribeUrl: emails.url('/api/subscriptions/unsubscribe?token=preview'),
+      trackUrl: trackUrl(order.id),
+    });
+    if(req.query.format === 'text') return res.type('text/plain').send(out.text);
+    res.type('html').send(out.html);
+  }catch(err){
+    res.status(404).json({ error: err.message, templates: EMAIL_TEMPLATES });
+  }
 });
 
-// Subscribe for email notifications (demo): POST /api/subscribe { orderId, email }
+// Subscriptions: double opt-in, one-click unsubscribe, one record per (orderId, email)
+const subscriptions = createSubscriptions(store.subscriptions);
+const confirmUrl = (sub) => emails.url(`/api/subscriptions/confirm?token=${encodeURIComponent(sub.confirmToken)}`);
+const unsubscribeUrl = (sub) => emails.url(`/api/subscriptions/unsubscribe?token=${encodeURIComponent(sub.unsubscribeToken)}`);
+
+// RFC 8058 headers so mail clients can offer their own unsubscribe button
+const unsubscribeHeaders = (sub) => ({
+  'List-Unsubscribe': `<${unsubscribeUrl(sub)}>`,
+  'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+});
+
+// Delivery preference per email: every change right away, or an hourly/daily digest
+const DIGEST_DAILY_HOUR = process.env.DIGEST_DAILY_HOUR ? Math.min(23, Math.max(0, Number(process.env.DIGEST_DAILY_HOUR) || 0)) : 8;
+const digests = createDigests({
+  preferences: store.emailPreferences,
+  queue: store.digestQueue,
+  dailyHour: DIGEST_DAILY_HOUR,
+  send: sendDigest,
+});
+digests.start();
+
+// One summary email with the queued changes of every order the person still follows
+async function sendDigest(email, list){
+  if(!emailTransporter){
+    console.log('[Digest] Transporter not configured, dropping digest for:', email);
+    return { success: true };
+  }
+  const items = [];
+  for(const { orderId, changes } of list){
+    const order = orders.get(orderId);
+    const sub = subscriptions.activeFor(orderId).find(x => x.email.toLowerCase() === email);
+    if(!order || !sub) continue;
+    items.push({ order, changes, trackUrl: trackUrl(orderId), unsubscribeUrl: unsubscribeUrl(sub) });
+  }
+  if(!items.length) return { success: true };
+  const frequency = digests.getPreference(email) === 'daily' ? 'daily' : 'hourly';
+  console.log(`[Digest] Sending ${frequency} digest to ${email} (${items.length} order(s))`);
+  return sendTemplatedEmail(email, 'digest', { frequency, orders: items });
+}
+
+// Subscribe for email notifications: POST /api/subscribe { orderId, email, frequency? }
+// A confirmation link is emailed; updates start once it is clicked. Without a mail
+// transport there is nobody to click it, so the subscription is activated directly.
+// frequency (immediate | hourly | daily) sets the delivery preference for the email.
 app.post('/api/subscribe', async (req, res) => {
   console.log('[Subscribe] Received request:', req.body);
   try{
-    const { orderId, email } = req.body || {};
-    const id = normalizeOrderId(orderId);
+    const { orderId, email, frequency } = req.body || {};
+    let id = normalizeOrderId(orderId);
     const em = String(email||'').trim().toLowerCase();
     console.log('[Subscribe] Normalized:', { id, em });
     if(!id || !em) return res.status(400).json({ error: 'orderId and email required' });
-    if(!demoOrders[id]) return res.status(404).json({ error: 'Order not found' });
+    if(frequency && !normalizeFrequency(frequency)) return res.status(400).json({ error: `frequency must be one of: ${FREQUENCIES.join(', ')}` });
+    // Any tracking number track-any resolves can be followed: it is stored as a carrier order
+    let order = orders.get(id) || findCarrierOrder(id);
+    if(!order && carriers){
+      try{ order = await createCarrierOrder(id); }
+      catch(err){ return res.status([404, 409, 429].includes(err.status) ? err.status : 502).json({ error: err.message || 'Carrier tracking failed' }); }
+    }
+    if(!order) return res.status(404).json({ error: 'Order not found' });
+    if(order.id !== id) id = order.id;
+    if(frequency) digests.setPreference(em, frequency);
     
-    // Save subscription
-    const file = path.join(__dirname, 'subscriptions.json');
-    let arr = [];
-    try{ if(fs.existsSync(file)) arr = JSON.parse(fs.readFileSync(file, 'utf8')||'[]'); }catch{ arr = []; }
-    arr.push({ orderId: id, email: em, ts: new Date().toISOString() });
-    fs.writeFileSync(file, JSON.stringify(arr, null, 2));
+    const { sub, alreadyActive } = subscriptions.subscribe(id, em, { autoConfirm: !emailTransporter });
+    // Carrier numbers are polled while someone follows them; pending subscriptions start it on confirm
+    if(shipmentWatcher && subscriptions.isActive(sub)) shipmentWatcher.watch(id);
+    if(alreadyActive){
+      return res.json({ ok: true, orderId: id, status: 'active', alreadySubscribed: true, emailSent: false, message: `You're already subscribed to order ${id}.` });
+    }
+    if(sub.status === 'active'){
+      return res.json({ ok: true, orderId: id, status: 'active', emailSent: false, message: 'Subscription saved but email could not be sent (email not configured).' });
+    }
     
     // Send confirmation email
-    const order = demoOrders[id];
-    const emailSubject = `Order ${id} - Subscription Confirmed`;
-    const emailHtml = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: Arial, sans-serif; background: #f5f5f5; padding: 20px; }
-          .container { background: white; border-radius: 10px; padding: 30px; max-width: 600px; margin: 0 auto; box-shadow: 0 4px 12px rgba(0,0,0,0.1); }
-          .header { background: linear-gradient(135deg, #d4af37, #7c3aed); color: white; padding: 20px; border-radius: 8px 8px 0 0; text-align: center; }
-          .content { padding: 20px; }
-          .status-badge { display: inline-block; padding: 8px 16px; border-radius: 20px; background: #7c3aed; color: white; font-weight: bold; }
-          .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; font-size: 12px; text-align: center; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1 style="margin:0;">🚚 Order Tracker</h1>
-          </div>
-          <div class="content">
-            <h2>Subscription Confirmed!</h2>
-            <p>Hi there,</p>
-            <p>You've successfully subscribed to updates for order <strong>${id}</strong>.</p>
-            <p>Current Status: <span class="status-badge">${order.status}</span></p>
-            <p><strong>Route:</strong> ${order.originName || 'Origin'} → ${order.destName || 'Destination'}</p>
-            <p>We'll send you an email whenever this order's status changes.</p>
-            <p>You can track your order anytime at: <a href="http://localhost:${PORT}">Order Tracker</a></p>
-          </div>
-          <div class="footer">
-            <p>This is an automated message from Order Tracker. Please do not reply to this email.</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-    
-    const emailResult = await sendEmailNotification(em, emailSubject, emailHtml);
+    const emailResult = await sendTemplatedEmail(em, 'subscribed', { order, confirmUrl: confirmUrl(sub), trackUrl: trackUrl(id) });
     console.log('[Subscribe] Email result:', emailResult);
     
     const response = { 
       ok: true, 
+      orderId: id,
+      status: sub.status,
       emailSent: emailResult.success,
-      message: emailResult.success ? 'Subscription confirmed! Check your email.' : 'Subscription saved but email could not be sent (email not configured).'
+      message: emailResult.success ? 'Almost done! Check your email to confirm the subscription.' : 'Subscription saved but the confirmation email could not be sent.'
     };
     console.log('[Subscribe] Sending response:', response);
     res.json(response);
@@ -1154,146 +1408,659 @@ app.post('/api/subscribe', async (req, res) => {
   }
 });
 
+// Small HTML page for links clicked from emails
+function linkResultPage(title, message){
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>`
+    + `<body style="font-family: Arial, sans-serif; background: #f5f5f5; padding: 40px;">`
+    + `<div style="background: white; border-radius: 10px; padding: 30px; max-width: 520px; margin: 0 auto; text-align: center;">`
+    + `<h1 style="margin-top:0;">🚚 ${escapeHtml(title)}</h1><p>${escapeHtml(message)}</p><p><a href="/">Open ${escapeHtml(emails.brand.name)}</a></p></div></body></html>`;
+}
+
+// GET /api/subscriptions/confirm?token=... (link in the confirmation email)
+app.get('/api/subscriptions/confirm', (req, res) => {
+  const sub = subscriptions.confirm(req.query.token);
+  if(!sub) return res.status(404).send(linkResultPage('Link expired', 'This confirmation link is not valid anymore. Please subscribe again.'));
+  if(shipmentWatcher) shipmentWatcher.watch(sub.orderId);
+  res.send(linkResultPage('Subscription confirmed', `You'll get an email whenever order ${sub.orderId} changes status.`));
+});
+
+// GET|POST /api/subscriptions/unsubscribe?token=... (one-click link and List-Unsubscribe-Post)
+app.all('/api/subscriptions/unsubscribe', express.urlencoded({ extended: false }), (req, res) => {
+  if(!['GET', 'POST'].includes(req.method)) return res.status(405).end();
+  const sub = subscriptions.unsubscribe(req.query.token || (req.body && req.body.token));
+  if(!sub) return res.status(404).send(linkResultPage('Link expired', 'This unsubscribe link is not valid.'));
+  console.log('[Subscribe] Unsubscribed', sub.email, 'from order', sub.orderId);
+  res.send(linkResultPage('Unsubscribed', `You won't receive further emails about order ${sub.orderId}.`));
+});
+
+// Managing subscriptions needs the token from a link we mailed (the unsubscribe token of any
+// of the person's subscriptions), not just the address
+function subscriberEmail(req, res){
+  const token = req.query.token || (req.body && req.body.token);
+  if(!token){ res.status(401).json({ error: 'token required (from the unsubscribe link in any update email)' }); return null; }
+  const email = subscriptions.emailForToken(token);
+  if(!email){ res.status(403).json({ error: 'Invalid token' }); return null; }
+  return email;
+}
+
+// GET /api/subscriptions?token=... — a person's subscriptions (tokens are never listed)
+app.get('/api/subscriptions', (req, res) => {
+  const email = subscriberEmail(req, res);
+  if(!email) return;
+  res.json({
+    email,
+    frequency: digests.getPreference(email),
+    pendingDigest: digests.pendingFor(email).length,
+    subscriptions: subscriptions.byEmail(email, { includeUnsubscribed: req.query.all === '1' }),
+  });
+});
+
+// PUT /api/subscriptions/preferences { token, frequency: 'immediate'|'hourly'|'daily' }
+app.put('/api/subscriptions/preferences', (req, res) => {
+  const email = subscriberEmail(req, res);
+  if(!email) return;
+  try{
+    const pref = digests.setPreference(email, req.body.frequency);
+    res.json({ email, frequency: pref.frequency, pendingDigest: digests.pendingFor(email).length });
+  }catch(err){
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/subscriptions/:id?token=... — stop one subscription
+app.delete('/api/subscriptions/:id', (req, res) => {
+  const email = subscriberEmail(req, res);
+  if(!email) return;
+  const sub = subscriptions.removeForEmail(String(req.params.id), email);
+  if(!sub) return res.status(404).json({ error: 'Subscription not found' });
+  res.json({ ok: true, id: sub.id, orderId: sub.orderId, status: sub.status });
+});
+
 // Analytics: GET /api/analytics
 app.get('/api/analytics', (_req, res) => {
-  const counts = Object.values(demoOrders).reduce((acc, o) => { acc[o.status] = (acc[o.status]||0)+1; return acc; }, {});
-  const total = Object.keys(demoOrders).length;
-  res.json({ total, byStatus: counts });
+  const all = orders.list();
+  const counts = all.reduce((acc, o) => { acc[o.status] = (acc[o.status]||0)+1; return acc; }, {});
+  const total = all.length;
+  // Orders past their SLA (stuck in a status too long or past the promised date)
+  const late = all.map(o => ({ id: o.id, status: o.status, check: sla.check(o) })).filter(x => x.check.delayed);
+  const delayed = {
+    total: late.length,
+    stuck: late.filter(x => x.check.reasons.some(r => r.type === 'stuck')).length,
+    pastPromise: late.filter(x => x.check.reasons.some(r => r.type === 'eta')).length,
+    orders: late.map(x => ({ id: x.id, status: x.status, since: x.check.since, reasons: x.check.reasons.map(r => r.message) })),
+  };
+  res.json({ total, byStatus: counts, delayed });
 });
 
-// Search: GET /api/search?status=Shipped&q=100
-app.get('/api/search', (req, res) => {
-  const statusQ = String(req.query.status||'').trim().toLowerCase();
-  const q = String(req.query.q||'').trim().toLowerCase();
-  const items = Object.entries(demoOrders).filter(([id, o]) => {
+// Filter stored orders by partial status, id and delay (shared by search and export)
+function filterOrders(query){
+  return orders.find(orderFilter(query));
+}
+
+function orderFilter(query){
+  const statusQ = String(query.status||'').trim().toLowerCase();
+  const q = String(query.q||'').trim().toLowerCase();
+  const delayedQ = String(query.delayed||'').trim().toLowerCase();
+  const wantDelayed = ['1', 'true', 'yes'].includes(delayedQ) ? true : ['0', 'false', 'no'].includes(delayedQ) ? false : null;
+  return (o) => {
     const st = (o.status||'').toLowerCase();
     const matchStatus = statusQ ? st.includes(statusQ) : true;
-    const matchQ = q ? id.toLowerCase().includes(q) : true;
-    return matchStatus && matchQ;
-  }).map(([id, _o]) => ({ id, ...(getDemoTracking(id)||{}) }));
+    const matchQ = q ? o.id.toLowerCase().includes(q) : true;
+    const matchDelay = wantDelayed === null ? true : sla.check(o).delayed === wantDelayed;
+    return matchStatus && matchQ && matchDelay;
+  };
+}
+
+// Search: GET /api/search?status=Shipped&q=100&delayed=1
+app.get('/api/search', (req, res) => {
+  const items = filterOrders(req.query).map((o) => {
+    const check = sla.check(o);
+    const delay = check.delayed ? { since: check.since, reasons: check.reasons.map(r => r.message), promisedBy: check.promisedBy } : undefined;
+    return { id: o.id, ...(getOrderTracking(o.id)||{}), delayed: check.delayed, delay };
+  });
   res.json({ results: items });
 });
 
 // Live updates via Server-Sent Events (SSE): GET /api/stream/:orderId
 app.get('/api/stream/:orderId', (req, res) => {
   const id = String(req.params.orderId||'').trim();
-  if(!id || !demoOrders[id]) return res.status(404).json({ error: 'Order not found' });
+  if(!id || !orders.has(id)) return res.status(404).json({ error: 'Order not found' });
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
   res.flushHeaders?.();
   const send = () => {
-    const unified = buildUnifiedResponse(demoOrders[id]);
+    const rec = orders.get(id);
+    if(!rec) return;
+    const unified = buildUnifiedResponse(rec);
     res.write(`data: ${JSON.stringify({ id, ...unified })}\n\n`);
   };
   send();
+  // Push immediately on status changes; the interval keeps the connection warm. A package move
+  // emits 'shipment' and usually 'change' too, so events of one tick share a single frame.
+  let queued = false;
+  const onChange = (change) => {
+    if(change.id !== id || queued) return;
+    queued = true;
+    setImmediate(() => { queued = false; if(!res.destroyed) send(); });
+  };
+  lifecycle.on('change', onChange);
+  lifecycle.on('shipment', onChange);
   const timer = setInterval(() => send(), 10000);
-  req.on('close', () => clearInterval(timer));
+  req.on('close', () => { clearInterval(timer); lifecycle.off('change', onChange); lifecycle.off('shipment', onChange); });
 });
 
 // Helper to notify subscribers when order status changes
-const notifySubscribers = async (orderId, oldStatus, newStatus) => {
+// The template follows the new status (shipped, out for delivery, delivered, exception, ...).
+const notifySubscribers = async (orderId, oldStatus, newStatus, event) => {
   try {
-    const file = path.join(__dirname, 'subscriptions.json');
-    if (!fs.existsSync(file)) return;
-    
-    const subscriptions = JSON.parse(fs.readFileSync(file, 'utf8') || '[]');
-    const orderSubs = subscriptions.filter(sub => sub.orderId === orderId);
+    const orderSubs = subscriptions.activeFor(orderId);
     
     if (orderSubs.length === 0) return;
     
-    const order = demoOrders[orderId];
+    const order = orders.get(orderId);
     if (!order) return;
     
-    console.log(`[Notify] Sending ${orderSubs.length} email(s) for order ${orderId} status change: ${oldStatus} → ${newStatus}`);
+    const template = templateForStatus(newStatus);
+    console.log(`[Notify] ${orderSubs.length} subscriber(s) for order ${orderId} status change: ${oldStatus} → ${newStatus} (${template})`);
     
     for (const sub of orderSubs) {
-      const emailSubject = `Order ${orderId} Update - ${newStatus}`;
-      const emailHtml = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <style>
-            body { font-family: Arial, sans-serif; background: #f5f5f5; padding: 20px; }
-            .container { background: white; border-radius: 10px; padding: 30px; max-width: 600px; margin: 0 auto; box-shadow: 0 4px 12px rgba(0,0,0,0.1); }
-            .header { background: linear-gradient(135deg, #d4af37, #7c3aed); color: white; padding: 20px; border-radius: 8px 8px 0 0; text-align: center; }
-            .content { padding: 20px; }
-            .status-badge { display: inline-block; padding: 8px 16px; border-radius: 20px; background: #7c3aed; color: white; font-weight: bold; margin: 10px 0; }
-            .status-old { background: #94a3b8; }
-            .arrow { font-size: 20px; margin: 0 10px; }
-            .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; font-size: 12px; text-align: center; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1 style="margin:0;">🚚 Order Tracker</h1>
-            </div>
-            <div class="content">
-              <h2>Order Status Updated!</h2>
-              <p>Hi there,</p>
-              <p>Great news! Your order <strong>${orderId}</strong> has been updated.</p>
-              <div style="text-align: center; margin: 20px 0;">
-                <span class="status-badge status-old">${oldStatus}</span>
-                <span class="arrow">→</span>
-                <span class="status-badge">${newStatus}</span>
-              </div>
-              <p><strong>Route:</strong> ${order.originName || 'Origin'} → ${order.destName || 'Destination'}</p>
-              ${newStatus === 'Delivered' ? '<p style="color: #16a34a; font-weight: bold;">✓ Your order has been delivered!</p>' : ''}
-              ${newStatus === 'Out for Delivery' ? '<p style="color: #f59e0b; font-weight: bold;">Your order is out for delivery today!</p>' : ''}
-              <p>Track your order in real-time: <a href="http://localhost:${PORT}" style="color: #7c3aed; text-decoration: none; font-weight: bold;">Open Order Tracker</a></p>
-            </div>
-            <div class="footer">
-              <p>This is an automated update from Order Tracker.</p>
-              <p>You're receiving this because you subscribed to updates for order ${orderId}.</p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `;
-      
-      await sendEmailNotification(sub.email, emailSubject, emailHtml);
+      // Digest subscribers get this change in their next hourly/daily summary
+      if (digests.getPreference(sub.email.toLowerCase()) !== 'immediate') {
+        digests.queueChange(sub.email.toLowerCase(), { orderId, from: oldStatus, to: newStatus, ts: event && event.ts, location: event && event.location, note: event && event.note });
+        continue;
+      }
+      await sendTemplatedEmail(sub.email, template, {
+        order,
+        from: oldStatus,
+        to: newStatus,
+        event,
+        trackUrl: trackUrl(orderId),
+        unsubscribeUrl: unsubscribeUrl(sub),
+      }, { headers: unsubscribeHeaders(sub) });
     }
   } catch (err) {
     console.error('[Notify] Error sending notifications:', err.message);
   }
 };
 
+// Notify subscribers on every lifecycle status change
+lifecycle.on('change', ({ id, from, to, event }) => {
+  notifySubscribers(id, from, to, event);
+});
+
+// --- Outbound webhooks ---
+const webhooks = createWebhooks({
+  webhooks: store.webhooks,
+  deliveries: store.webhookDeliveries,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 5000,
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+});
+webhooks.resume();
+
+// What integrators get about an order (no internal notes)
+function webhookOrder(order){
+  return {
+    id: order.id,
+    status: order.status,
+    originName: order.originName || null,
+    destName: order.destName || null,
+    customerName: order.customerName || null,
+    customerEmail: order.customerEmail || null,
+    updatedAt: order.updatedAt || null,
+    shipments: (order.shipments || []).map(sh => ({ id: sh.id, carrier: sh.carrier || null, tracking: sh.tracking || null, status: sh.status })),
+  };
+}
+
+lifecycle.on('change', ({ id, from, to, event, order }) => {
+  webhooks.dispatch('order.status_changed', { orderId: id, from, to, event, order: webhookOrder(order) }, { orderId: id, status: to });
+});
+lifecycle.on('shipment', ({ id, shipmentId, from, to, event, order }) => {
+  webhooks.dispatch('shipment.status_changed', { orderId: id, shipmentId, from, to, event, order: webhookOrder(order) }, { orderId: id, status: to });
+});
+
+// --- Inbound carrier webhooks (AfterShip tracking updates) ---
+// Matching stored orders/shipments move through the lifecycle, so the listeners above
+// (subscriber emails, outbound webhooks, live streams) run as for admin changes.
+const carrierInbound = createCarrierInbound({ orders, lifecycle });
+
+app.post('/api/webhooks/aftership', (req, res) => {
+  const secret = process.env.AFTERSHIP_WEBHOOK_SECRET;
+  if(!secret) return res.status(503).json({ error: 'Carrier webhook not configured (set AFTERSHIP_WEBHOOK_SECRET)' });
+  if(!req.rawBody || !verifyAfterShipSignature(secret, req.rawBody, req.get('aftership-hmac-sha256'))){
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  let update;
+  try{ update = parseAfterShipWebhook(req.body); }
+  catch(err){ return res.status(err.status || 400).json({ error: err.message }); }
+  // Pushed data is newer than any cached lookup
+  if(carriers) carriers.invalidate(update.carrier, update.tracking);
+  const result = carrierInbound.apply(update);
+  console.log(`[carrier-webhook] ${update.carrier} ${update.tracking}: ${update.status} (${result.duplicate ? 'duplicate' : `${result.matched} match(es)`})`);
+  res.json({ ok: true, carrier: update.carrier, tracking: update.tracking, status: update.status, ...result });
+});
+
+// --- Background refresh of subscribed carrier shipments (lib/carriers/watch.js) ---
+// Intervals follow the status (15 min out for delivery ... 4 h before pickup); polling stops once
+// delivered, final, expired or unfollowed. Needs a carrier provider.
+const shipmentWatcher = carriers ? createShipmentWatcher({
+  orders,
+  carriers,
+  apply: (update) => carrierInbound.apply(update),
+  hasSubscribers: (id) => subscriptions.activeFor(id).length > 0,
+  tickMs: Number(process.env.CARRIER_WATCH_TICK_MS) || 60000,
+  expireDays: Number(process.env.CARRIER_WATCH_EXPIRE_DAYS) || 30,
+}) : null;
+if(shipmentWatcher) shipmentWatcher.start();
+
+// GET /api/admin/carrier-watch — carrier-tracked orders and their refresh state
+app.get('/api/admin/carrier-watch', (_req, res) => {
+  if(!shipmentWatcher) return res.status(501).json({ error: 'No carrier provider configured' });
+  res.json({ shipments: shipmentWatcher.list() });
+});
+
+// POST /api/admin/carrier-watch/run { all? } — refresh due (or all watched) shipments now
+app.post('/api/admin/carrier-watch/run', async (req, res) => {
+  if(!shipmentWatcher) return res.status(501).json({ error: 'No carrier provider configured' });
+  const results = await shipmentWatcher.run(new Date(), { all: !!(req.body && req.body.all) });
+  res.json({ refreshed: results.length, results });
+});
+
+// --- Delay / SLA monitor ---
+// Thresholds per status in hours (SLA_HOURS="Shipped=72,In Transit=120"); orders without a
+// promisedBy date are expected within SLA_PROMISE_DAYS of creation.
+const sla = createSlaMonitor({
+  orders,
+  thresholds: parseSlaHours(process.env.SLA_HOURS),
+  promiseDays: Number(process.env.SLA_PROMISE_DAYS) || 5,
+  intervalMs: Number(process.env.SLA_SCAN_INTERVAL_MS) || 300000,
+  onDelayed: notifyDelayed,
+});
+sla.start();
+
+// One "your order is delayed" email per subscriber (and webhook) per delay; digest
+// subscribers get it in their next summary instead
+function notifyDelayed(order, check){
+  const reasons = check.reasons.map(r => r.message);
+  console.log(`[SLA] Order ${order.id} delayed: ${reasons.join('; ')}`);
+  for(const sub of subscriptions.activeFor(order.id)){
+    if(digests.getPreference(sub.email.toLowerCase()) !== 'immediate'){
+      digests.queueChange(sub.email.toLowerCase(), { orderId: order.id, from: null, to: order.status, note: reasons.join('; '), kind: 'delayed' });
+      continue;
+    }
+    sendTemplatedEmail(sub.email, 'delayed', {
+      order,
+      reasons,
+      promisedBy: check.promisedBy,
+      trackUrl: trackUrl(order.id),
+      unsubscribeUrl: unsubscribeUrl(sub),
+    }, { headers: unsubscribeHeaders(sub) }).catch(err => console.error('[SLA] Email failed:', err.message));
+  }
+  webhooks.dispatch('order.delayed', { orderId: order.id, status: order.status, since: check.since, promisedBy: check.promisedBy, reasons, order: webhookOrder(order) }, { orderId: order.id, status: order.status });
+}
+
+// GET /api/admin/sla — thresholds and the orders currently flagged
+app.get('/api/admin/sla', (_req, res) => {
+  const delayed = orders.list().map(o => ({ id: o.id, status: o.status, check: sla.check(o), flag: o.delay || null })).filter(x => x.check.delayed);
+  res.json({ thresholdsHours: sla.thresholds, promiseDays: sla.promiseDays, delayed });
+});
+
+// POST /api/admin/sla/scan — run the monitor now (it also runs every SLA_SCAN_INTERVAL_MS)
+app.post('/api/admin/sla/scan', (_req, res) => {
+  res.json({ ok: true, delayed: sla.scan() });
+});
+
 // Dev helper: POST /api/admin/advance/:orderId to advance status (demo only)
 app.post('/api/admin/advance/:orderId', async (req, res) => {
   const id = String(req.params.orderId||'').trim();
-  const rec = demoOrders[id];
+  try{
+    // Subscribers are notified by the lifecycle 'change' listener
+    lifecycle.advance(id, { actor: 'admin', note: 'Advanced from admin' });
+  }catch(err){
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  res.json({ id, ...getOrderTracking(id) });
+});
+
+// --- Admin order management ---
+
+// Keep the customers collection in sync with an order's customerEmail
+function linkCustomerOrder(email, orderId){
+  if(!email) return;
+  const cur = store.customers.get(email);
+  if(cur){
+    if(!cur.orderIds.includes(orderId)) store.customers.update(email, c => { c.orderIds.push(orderId); });
+  }else{
+    store.customers.put(email, { email, orderIds: [orderId] });
+  }
+}
+function unlinkCustomerOrder(email, orderId){
+  if(!email || !store.customers.has(email)) return;
+  store.customers.update(email, c => { c.orderIds = (c.orderIds || []).filter(x => x !== orderId); });
+}
+
+// Create a stored order from validated input (see lib/orderInput.js)
+function createOrder(id, value, meta = {}){
+  const now = new Date().toISOString();
+  const shipments = Array.isArray(value.shipments) && value.shipments.length
+    ? value.shipments.map(sh => ({ ...sh, createdAt: now, updatedAt: now, history: [{ status: sh.status, from: null, ts: now, location: sh.originName || value.originName || null, actor: meta.actor || 'admin', note: 'Shipment created' }] }))
+    : undefined;
+  // Multi-package orders take their status from the packages
+  const status = deriveOrderStatus(shipments) || value.status || 'Processing';
+  const rec = orders.put(id, {
+    ...value,
+    shipments,
+    status,
+    createdAt: now,
+    updatedAt: now,
+    notes: [],
+    history: [{ status, from: null, ts: now, location: value.originName || null, actor: meta.actor || 'admin', note: meta.note || 'Order created' }],
+  });
+  linkCustomerOrder(rec.customerEmail, id);
+  return rec;
+}
+
+// Apply validated field edits; a status change goes through the lifecycle
+function updateOrder(id, value, meta = {}){
+  const before = orders.get(id);
+  const { status, ...fields } = value;
+  delete fields.id;
+  delete fields.shipments;
+  if(Object.keys(fields).length){
+    orders.update(id, { ...fields, updatedAt: new Date().toISOString() });
+    if(fields.customerEmail && fields.customerEmail !== before.customerEmail){
+      unlinkCustomerOrder(before.customerEmail, id);
+      linkCustomerOrder(fields.customerEmail, id);
+    }
+  }
+  if(status && status !== before.status) lifecycle.transition(id, status, meta);
+  return orders.get(id);
+}
+
+// GET /api/admin/orders — full stored records (including notes and history)
+app.get('/api/admin/orders', (_req, res) => {
+  res.json({ orders: orders.list() });
+});
+
+// POST /api/admin/orders { id?, status?, origin, dest, originName?, destName?, customerName?, customerEmail? }
+app.post('/api/admin/orders', (req, res) => {
+  const { value, errors } = validateOrderInput(req.body, { partial: false });
+  if(errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+  const id = value.id || genId('ord').toUpperCase();
+  if(orders.has(id)) return res.status(409).json({ error: `Order ${id} already exists` });
+  const rec = createOrder(id, value, { actor: 'admin' });
+  res.status(201).json(rec);
+});
+
+// PATCH /api/admin/orders/:orderId — edit route, names and customer (status has its own route)
+app.patch('/api/admin/orders/:orderId', (req, res) => {
+  const id = normalizeOrderId(req.params.orderId);
+  const rec = orders.get(id);
   if(!rec) return res.status(404).json({ error: 'Order not found' });
-  
-  const oldStatus = rec.status;
-  const flow = ['Processing','Packed','Shipped','In Transit','Out for Delivery','Delivered'];
-  const idx = Math.max(0, flow.indexOf(rec.status));
-  if(idx < flow.length - 1){ 
-    rec.status = flow[idx+1]; 
-    
-    // Notify subscribers about the status change
-    await notifySubscribers(id, oldStatus, rec.status);
+  const body = req.body || {};
+  if(body.status !== undefined) return res.status(400).json({ error: 'Use POST /api/admin/orders/:orderId/status to change status' });
+  if(body.shipments !== undefined) return res.status(400).json({ error: 'Use /api/admin/orders/:orderId/shipments to manage packages' });
+  if(body.id !== undefined && String(body.id).trim() !== id) return res.status(400).json({ error: 'Order id cannot be changed' });
+  const { value, errors } = validateOrderInput(body, { partial: true });
+  if(errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+  res.json(updateOrder(id, value, { actor: 'admin' }));
+});
+
+// POST /api/admin/orders/:orderId/status { status, note?, location?, force? }
+// Any status can be requested; the lifecycle rejects illegal moves unless force is set.
+app.post('/api/admin/orders/:orderId/status', (req, res) => {
+  const id = normalizeOrderId(req.params.orderId);
+  const { status, note, location, force } = req.body || {};
+  if(!status) return res.status(400).json({ error: 'status required' });
+  try{
+    const result = lifecycle.transition(id, status, {
+      actor: 'admin',
+      note: note ? String(note).slice(0, 500) : null,
+      location: location ? String(location).slice(0, 200) : null,
+      force: force === true,
+    });
+    res.json({ id, changed: result.changed, from: result.from, ...getOrderTracking(id) });
+  }catch(err){
+    res.status(err.status || 500).json({ error: err.message });
   }
-  
-  res.json({ id, ...getDemoTracking(id) });
 });
 
-// Helpers for ETA and timeline
-function daysAgo(n){ const d = new Date(); d.setDate(d.getDate()-Number(n||0)); return d.toISOString(); }
-function daysUntil(date){ const now = new Date(); const ms = new Date(date) - now; return Math.ceil(ms / 86400000); }
-function estimateETA(status){
-  const now = new Date();
-  const add = (days) => { const d = new Date(now); d.setDate(d.getDate()+days); return d; };
-  switch(status){
-    case 'Processing': return add(5);
-    case 'Packed': return add(4);
-    case 'Shipped': return add(3);
-    case 'In Transit': return add(2);
-    case 'Out for Delivery': return add(0);
-    case 'Delivered': return now;
-    default: return add(3);
+// POST /api/admin/orders/:orderId/shipments { id?, carrier?, tracking?, status?, origin?, dest?, originName?, destName?, force? }
+// Adds a package; from then on the order status is derived from its packages. The first package
+// starts at the order's current status unless one is given, and may not move the order backwards.
+app.post('/api/admin/orders/:orderId/shipments', (req, res) => {
+  const id = normalizeOrderId(req.params.orderId);
+  const rec = orders.get(id);
+  if(!rec) return res.status(404).json({ error: 'Order not found' });
+  const { value, errors } = validateShipmentInput(req.body, { partial: false });
+  if(errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+  const list = Array.isArray(rec.shipments) ? rec.shipments : [];
+  const shipmentId = value.id || `PKG${list.length + 1}`;
+  if(list.some(s => s.id === shipmentId)) return res.status(409).json({ error: `Shipment ${shipmentId} already exists` });
+  if(!list.length){
+    if(value.status === 'Processing' && !(req.body && req.body.status) && STATUSES.includes(rec.status)) value.status = rec.status;
+    if(value.status !== rec.status && !(req.body && req.body.force === true) && !canTransition(rec.status, value.status)){
+      return res.status(409).json({ error: `Illegal transition ${rec.status} → ${value.status} for the order's first shipment (pass force: true to override)` });
+    }
+  }
+  const now = new Date().toISOString();
+  orders.update(id, draft => {
+    draft.shipments = [...list, {
+      ...value, id: shipmentId, createdAt: now, updatedAt: now,
+      history: [{ status: value.status, from: null, ts: now, location: value.originName || rec.originName || null, actor: 'admin', note: 'Shipment created' }],
+    }];
+  });
+  lifecycle.syncDerivedStatus(id, { actor: 'admin', note: `Shipment ${shipmentId} added` });
+  res.status(201).json({ id, ...getOrderTracking(id), shipments: buildUnifiedResponse(orders.get(id)).shipments });
+});
+
+// POST /api/admin/orders/:orderId/shipments/:shipmentId/status { status, note?, location?, force? }
+app.post('/api/admin/orders/:orderId/shipments/:shipmentId/status', (req, res) => {
+  const id = normalizeOrderId(req.params.orderId);
+  const { status, note, location, force } = req.body || {};
+  if(!status) return res.status(400).json({ error: 'status required' });
+  try{
+    const result = lifecycle.transitionShipment(id, req.params.shipmentId, status, {
+      actor: 'admin',
+      note: note ? String(note).slice(0, 500) : null,
+      location: location ? String(location).slice(0, 200) : null,
+      force: force === true,
+    });
+    res.json({ id, shipmentId: result.shipmentId, changed: result.changed, ...buildUnifiedResponse(result.order) });
+  }catch(err){
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/admin/orders/:orderId/notes { text, author? }
+app.post('/api/admin/orders/:orderId/notes', (req, res) => {
+  const id = normalizeOrderId(req.params.orderId);
+  if(!orders.has(id)) return res.status(404).json({ error: 'Order not found' });
+  const text = String((req.body && req.body.text) || '').trim();
+  if(!text) return res.status(400).json({ error: 'text required' });
+  const note = {
+    id: genId('note'),
+    text: text.slice(0, 2000),
+    author: String((req.body && req.body.author) || 'admin').slice(0, 100),
+    ts: new Date().toISOString(),
+  };
+  const updated = orders.update(id, rec => { rec.notes = [...(rec.notes || []), note]; });
+  res.status(201).json({ id, note, notes: updated.notes });
+});
+
+// POST /api/admin/orders/import[?dryRun=1]
+// Body: CSV (text/csv) or JSON lines (application/x-ndjson) with columns
+// id, status, origin, destination (coordinates "lat,lng" or place names), plus optional
+// origin_name, destination_name, customer_email, customer_name. A JSON array also works.
+// Returns a per-row report; rows with errors are skipped, the rest are applied.
+app.post('/api/admin/orders/import',
+  express.text({ type: ['text/csv', 'text/plain', 'application/x-ndjson', 'application/jsonl'], limit: '5mb' }),
+  async (req, res) => {
+    const records = parseImportRecords(req.body, req.headers['content-type']);
+    if(!records.length) return res.status(400).json({ error: 'No rows found. Send CSV with a header row or JSON lines.' });
+    const dryRun = ['1', 'true'].includes(String(req.query.dryRun || '').toLowerCase());
+    try{
+      const report = await importOrders(records, { orders, geocode: geocodePlace, createOrder, updateOrder }, { dryRun });
+      res.status(report.failed && !report.created && !report.updated ? 422 : 200).json(report);
+    }catch(err){
+      res.status(500).json({ error: err.message || 'Import failed' });
+    }
   }
+);
+
+// Resolves once a full response buffer has been flushed (or the client went away)
+function drained(res){
+  return new Promise(resolve => {
+    const done = () => { res.off('drain', done); res.off('close', done); resolve(); };
+    res.on('drain', done);
+    res.on('close', done);
+  });
 }
+
+// GET /api/admin/orders/export?format=csv|ndjson&status=...&q=...
+// Streams all orders (same filters as /api/search) one row at a time, waiting for the client
+// to drain. CSV re-imports as-is.
+app.get('/api/admin/orders/export', async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if(!['csv', 'ndjson'].includes(format)) return res.status(400).json({ error: 'format must be csv or ndjson' });
+  const match = orderFilter(req.query);
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Disposition', `attachment; filename="orders-${stamp}.${format === 'csv' ? 'csv' : 'ndjson'}"`);
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  const ll = (p) => Array.isArray(p) ? `${p[0]},${p[1]}` : '';
+  const line = format === 'csv'
+    ? (o) => toCSVRow([o.id, o.status, ll(o.origin), o.originName, ll(o.dest), o.destName, o.customerEmail, o.customerName, o.serviceLevel, o.promisedBy, o.createdAt, o.updatedAt])
+    : (o) => JSON.stringify(o) + '\n';
+  if(format === 'csv') res.write(toCSVRow(['id', 'status', 'origin', 'origin_name', 'destination', 'destination_name', 'customer_email', 'customer_name', 'service_level', 'promised_by', 'created_at', 'updated_at']));
+  for(const id of orders.ids()){
+    if(res.destroyed) return;
+    const o = orders.get(id);
+    if(!o || !match(o)) continue;
+    if(!res.write(line(o))) await drained(res);
+  }
+  res.end();
+});
+
+// DELETE /api/admin/orders/:orderId — removes the order and its subscriptions
+app.delete('/api/admin/orders/:orderId', (req, res) => {
+  const id = normalizeOrderId(req.params.orderId);
+  const rec = orders.get(id);
+  if(!rec) return res.status(404).json({ error: 'Order not found' });
+  orders.remove(id);
+  for(const c of store.customers.find(c => (c.orderIds || []).includes(id))) unlinkCustomerOrder(c.email, id);
+  const subs = store.subscriptions.find(sub => sub.orderId === id);
+  subs.forEach(sub => store.subscriptions.remove(sub.id));
+  res.json({ ok: true, id, removedSubscriptions: subs.length });
+});
+
+// --- Admin webhook management ---
+
+// GET /api/admin/webhooks
+app.get('/api/admin/webhooks', (_req, res) => {
+  res.json({ webhooks: webhooks.list().map(publicWebhook) });
+});
+
+// POST /api/admin/webhooks { url, events?, statuses?, orderIds?, description?, secret?, active? }
+// The signing secret is only returned here (and when rotated).
+app.post('/api/admin/webhooks', (req, res) => {
+  const { value, errors } = validateWebhookInput(req.body, { partial: false });
+  if(errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+  const hook = webhooks.create(value);
+  res.status(201).json({ ...publicWebhook(hook), secret: hook.secret });
+});
+
+// PATCH /api/admin/webhooks/:id { url?, events?, statuses?, orderIds?, description?, active?, secret?, rotateSecret? }
+app.patch('/api/admin/webhooks/:id', (req, res) => {
+  const { value, errors } = validateWebhookInput(req.body, { partial: true });
+  if(errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+  const rotateSecret = !!(req.body && req.body.rotateSecret === true);
+  try{
+    const hook = webhooks.update(req.params.id, value, { rotateSecret });
+    res.json(rotateSecret || value.secret ? { ...publicWebhook(hook), secret: hook.secret } : publicWebhook(hook));
+  }catch(err){
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/admin/webhooks/:id — also drops its delivery log
+app.delete('/api/admin/webhooks/:id', (req, res) => {
+  try{
+    webhooks.remove(req.params.id);
+    res.json({ ok: true, id: req.params.id });
+  }catch(err){
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/admin/webhooks/:id/test — sends a signed ping and returns the first attempt
+app.post('/api/admin/webhooks/:id/test', async (req, res) => {
+  try{
+    res.json(await webhooks.test(req.params.id));
+  }catch(err){
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// GET /api/admin/webhooks/:id/deliveries?status=pending|delivered|failed&limit=50 — newest first
+app.get('/api/admin/webhooks/:id/deliveries', (req, res) => {
+  if(!webhooks.get(req.params.id)) return res.status(404).json({ error: 'Webhook not found' });
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const status = req.query.status ? String(req.query.status) : undefined;
+  res.json({ deliveries: webhooks.deliveriesFor(req.params.id, { status, limit }) });
+});
+
+// POST /api/admin/webhooks/deliveries/:deliveryId/redeliver
+app.post('/api/admin/webhooks/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try{
+    res.json(await webhooks.redeliver(req.params.deliveryId));
+  }catch(err){
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/admin/digests/run { all? } — send the digests that are due now (the scheduler
+// runs every minute); all: true sends everything queued, which is handy for demos
+app.post('/api/admin/digests/run', async (req, res) => {
+  const all = req.body && req.body.all === true;
+  const sent = await digests.run(all ? new Date(8.64e15) : new Date());
+  res.json({ ok: true, sent });
+});
+
+// --- Admin email outbox ---
+
+// GET /api/admin/outbox?status=queued|sending|sent|dead&limit=50 — newest first, without bodies
+app.get('/api/admin/outbox', (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const status = req.query.status ? String(req.query.status) : undefined;
+  res.json({ stats: outbox.stats(), messages: outbox.list({ status, limit }) });
+});
+
+// GET /api/admin/outbox/:id — one message including its HTML/text bodies and errors
+app.get('/api/admin/outbox/:id', (req, res) => {
+  const msg = outbox.get(req.params.id);
+  if(!msg) return res.status(404).json({ error: 'Message not found' });
+  res.json(msg);
+});
+
+// POST /api/admin/outbox/replay — re-queue every dead-letter message
+app.post('/api/admin/outbox/replay', (_req, res) => {
+  const replayed = outbox.replayDead();
+  res.json({ ok: true, replayed: replayed.length, ids: replayed.map(m => m.id) });
+});
+
+// POST /api/admin/outbox/:id/replay — re-queue one dead (or sent) message
+app.post('/api/admin/outbox/:id/replay', (req, res) => {
+  try{
+    const { html, text, ...msg } = outbox.replay(req.params.id);
+    res.json(msg);
+  }catch(err){
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Helpers for ETA and timeline
+function daysUntil(date){ const now = new Date(); const ms = new Date(date) - now; return Math.ceil(ms / 86400000); }
 function etaNote(status){
   switch(status){
     case 'Out for Delivery': return 'Arriving today';
@@ -1330,7 +2097,14 @@ if (process.env.SPA_FALLBACK === '1'){
 
 app.listen(PORT, '0.0.0.0', () => {
   const hasAI = !!process.env.OPENAI_API_KEY;
-  const hasAfterShip = !!process.env.AFTERSHIP_API_KEY;
+  const geoFallback = geocoder.stats().fallback;
   console.log(`Order Tracker server running at http://0.0.0.0:${PORT}`);
-  console.log(`[env] AI=${hasAI ? 'on' : 'off'} AfterShip=${hasAfterShip ? 'on' : 'off'} (.env: ${path.join(__dirname, '.env')})`);
+  console.log(`[env] AI=${hasAI ? 'on' : 'off'} Carriers=${carriers ? carriers.name : 'off'} Geocoder=${geoFallback === 'none' ? 'gazetteer' : `gazetteer+${geoFallback}`} (.env: ${path.join(__dirname, '.env')})`);
 });
+
+// Store and geocode cache writes are batched: write what is pending before stopping
+['SIGINT', 'SIGTERM'].forEach(sig => process.once(sig, () => {
+  store.flush();
+  geocoder.flush();
+  process.exit(0);
+}));